@@ -0,0 +1,91 @@
+import { apiKeyService } from '../services/apiKeys.js';
+import { runWithContext } from '../utils/requestContext.js';
+
+// Routes reachable without an API key; they are verified by other means
+const PUBLIC_ROUTES = [
+  { method: 'GET', path: '/api/health' },
+  { method: 'GET', path: '/api/auth/callback' },
+  { method: 'POST', path: '/api/gmail/push' }
+];
+
+// EventSource cannot send headers, so these routes also accept ?apiKey=
+const QUERY_KEY_ROUTES = ['/api/stream'];
+
+// Full path, also when mounted with app.use('/api', ...)
+function fullPath(req) {
+  return req.baseUrl + req.path;
+}
+
+function isPublic(req) {
+  return PUBLIC_ROUTES.some(route => route.method === req.method && route.path === fullPath(req));
+}
+
+function extractKey(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+
+  if (req.get('X-API-Key')) {
+    return req.get('X-API-Key').trim();
+  }
+
+  if (req.method === 'GET' && QUERY_KEY_ROUTES.includes(fullPath(req)) && req.query.apiKey) {
+    return String(req.query.apiKey);
+  }
+
+  return null;
+}
+
+// Resolves the API key for every /api request and attaches it as req.apiKey
+export async function authenticate(req, res, next) {
+  if (req.method === 'OPTIONS' || isPublic(req)) {
+    return next();
+  }
+
+  try {
+    const apiKey = await apiKeyService.verify(extractKey(req));
+
+    if (!apiKey) {
+      return res.status(401).json({ error: 'A valid API key is required', code: 'UNAUTHORIZED' });
+    }
+
+    const rate = apiKeyService.consumeRateLimit(apiKey);
+    res.set({
+      'X-RateLimit-Limit': String(rate.limit),
+      'X-RateLimit-Remaining': String(rate.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000))
+    });
+
+    if (!rate.allowed) {
+      res.set('Retry-After', String(Math.ceil((rate.resetAt - Date.now()) / 1000)));
+      return res.status(429).json({ error: 'Rate limit exceeded', code: 'RATE_LIMITED' });
+    }
+
+    req.apiKey = apiKey;
+    apiKeyService.recordUsage(apiKey);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({ error: `This route requires the "${scope}" scope`, code: 'FORBIDDEN' });
+    }
+    next();
+  };
+}
+
+// Identity used to attribute actions to the calling key. Key names are not
+// unique, so the key ID is used and the name is kept only for display.
+export function actorOf(req) {
+  return req.apiKey ? `apikey:${req.apiKey._id}` : 'anonymous';
+}
+
+// Makes the caller available to audit logging for the rest of the request
+export function withRequestContext(req, res, next) {
+  runWithContext({ actor: actorOf(req), actorName: req.apiKey?.name || null, ip: req.ip }, next);
+}
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+export const API_KEY_SCOPES = ['read', 'claim', 'admin'];
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the key; the key itself is only shown once at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, to help identify it in listings
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: ['read']
+  },
+  // Requests per minute
+  rateLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'api_keys'
+});
+
+apiKeySchema.methods.toJSON = function() {
+  const key = this.toObject();
+  return {
+    id: key._id,
+    name: key.name,
+    keyPrefix: key.keyPrefix,
+    scopes: key.scopes,
+    rateLimit: key.rateLimit,
+    revoked: !!key.revokedAt,
+    revokedAt: key.revokedAt,
+    lastUsedAt: key.lastUsedAt,
+    requestCount: key.requestCount,
+    createdBy: key.createdBy,
+    createdAt: key.createdAt
+  };
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes('admin') || this.scopes.includes(scope);
+};
+
+// Static methods
+apiKeySchema.statics.findActiveByHash = function(keyHash) {
+  return this.findOne({ keyHash, revokedAt: null });
+};
+
+export const ApiKey = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { Transaction } from './Transaction.js';
+
+// Transactions moved out of the live collection by the retention job. Each
+// document is the transaction as it was, same _id, plus archivedAt.
+const archivedTransactionSchema = new mongoose.Schema({
+  utr: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  amount: Number,
+  timestamp: Date,
+  status: String,
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  strict: false,
+  collection: 'transactions_archive'
+});
+
+archivedTransactionSchema.index({ archivedAt: 1 });
+archivedTransactionSchema.index({ timestamp: -1 });
+
+archivedTransactionSchema.methods.toJSON = function() {
+  const { archivedAt, ...transaction } = this.toObject();
+  return {
+    ...Transaction.hydrate(transaction).toJSON(),
+    archivedAt
+  };
+};
+
+// The stored transaction without archive bookkeeping, ready to insert back
+archivedTransactionSchema.methods.toTransaction = function() {
+  const { archivedAt, __v, ...transaction } = this.toObject();
+  return transaction;
+};
+
+// Static methods
+archivedTransactionSchema.statics.findRecent = function({ utr, before, limit = 50 } = {}) {
+  const query = {};
+  if (utr) query.utr = utr;
+  if (before) query._id = { $lt: before };
+
+  return this.find(query).sort({ _id: -1 }).limit(limit);
+};
+
+// Copies a batch of lean transaction documents in; copies left behind by
+// an interrupted earlier run are kept as they are
+archivedTransactionSchema.statics.archive = async function(transactions) {
+  const archivedAt = new Date();
+  try {
+    await this.collection.insertMany(
+      transactions.map(transaction => ({ ...transaction, archivedAt })),
+      { ordered: false }
+    );
+  } catch (error) {
+    const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+    if (error.code !== 11000 && !(writeErrors.length && writeErrors.every(e => e.code === 11000))) {
+      throw error;
+    }
+  }
+};
+
+export const ArchivedTransaction = mongoose.model('ArchivedTransaction', archivedTransactionSchema);
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  actor: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Key name at the time of the action, for display only
+  actorName: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  entityType: {
+    type: String,
+    default: null
+  },
+  entityId: {
+    type: String,
+    default: null
+  },
+  utr: {
+    type: String,
+    default: null,
+    index: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'audit_log'
+});
+
+auditLogSchema.index({ createdAt: -1 });
+
+// Append-only: entries can be inserted but never changed or removed
+const MUTATIONS = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+];
+auditLogSchema.pre(MUTATIONS, function() {
+  throw new Error('Audit log is append-only');
+});
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Audit log is append-only');
+  }
+});
+
+auditLogSchema.methods.toJSON = function() {
+  const entry = this.toObject();
+  return {
+    id: entry._id,
+    action: entry.action,
+    actor: entry.actor,
+    actorName: entry.actorName,
+    ip: entry.ip,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    utr: entry.utr,
+    before: entry.before,
+    after: entry.after,
+    metadata: entry.metadata,
+    createdAt: entry.createdAt
+  };
+};
+
+// Static methods
+auditLogSchema.statics.search = function({ utr, actor, action, startDate, endDate, before, limit = 100 } = {}) {
+  const query = {};
+  if (utr) query.utr = utr;
+  if (actor) query.actor = actor;
+  if (action) query.action = action;
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+  // Cursor: entries older than the given entry ID
+  if (before) query._id = { $lt: before };
+
+  return this.find(query)
+    .sort({ _id: -1 })
+    .limit(limit);
+};
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
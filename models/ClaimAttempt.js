@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// How long attempts are kept for the fraud rules to look back on
+const ATTEMPT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Every claim made through the API, successful or not
+const claimAttemptSchema = new mongoose.Schema({
+  utr: {
+    type: String,
+    required: true
+  },
+  // Authenticated API key the claim came in on
+  client: {
+    type: String,
+    required: true
+  },
+  // Customer reference supplied with the claim; informational only
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  orderId: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    default: null
+  },
+  // 'claimed', 'already_claimed' or the error code the claim failed with
+  outcome: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: ATTEMPT_TTL_SECONDS
+  }
+}, {
+  collection: 'claim_attempts'
+});
+
+claimAttemptSchema.index({ utr: 1, createdAt: -1 });
+claimAttemptSchema.index({ client: 1, outcome: 1, createdAt: -1 });
+
+// Static methods
+// Other clients and orders that tried to claim `utr` since `since`
+claimAttemptSchema.statics.findOthersForUTR = function(utr, { client, orderId, since }) {
+  return this.find({
+    utr,
+    createdAt: { $gte: since },
+    $or: [{ client: { $ne: client } }, { orderId: { $ne: orderId } }]
+  }).sort({ createdAt: -1 }).limit(20).lean();
+};
+
+claimAttemptSchema.statics.countOutcome = function(client, outcome, since) {
+  return this.countDocuments({ client, outcome, createdAt: { $gte: since } });
+};
+
+export const ClaimAttempt = mongoose.model('ClaimAttempt', claimAttemptSchema);
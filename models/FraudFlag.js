@@ -0,0 +1,160 @@
+import mongoose from 'mongoose';
+
+export const FRAUD_RULES = [
+  'utr_multiple_clients',
+  'unknown_utr_burst',
+  'duplicate_email',
+  'large_amount',
+  'amount_mismatch'
+];
+export const FRAUD_SEVERITIES = ['low', 'medium', 'high'];
+export const FRAUD_FLAG_STATUSES = ['open', 'confirmed', 'dismissed'];
+
+// Suspicious activity found by the fraud rules. A rule raising the same
+// key again (a UTR, or a client for per-client rules) adds an occurrence to
+// the active flag instead of creating another one.
+const fraudFlagSchema = new mongoose.Schema({
+  rule: {
+    type: String,
+    enum: FRAUD_RULES,
+    required: true
+  },
+  // What `key` identifies: a UTR or a claiming client
+  scope: {
+    type: String,
+    enum: ['utr', 'client'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: FRAUD_SEVERITIES,
+    default: 'medium'
+  },
+  // Why the rule fired, for the latest occurrence
+  reason: {
+    type: String,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  utr: {
+    type: String,
+    default: null
+  },
+  client: {
+    type: String,
+    default: null
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: FRAUD_FLAG_STATUSES,
+    default: 'open'
+  },
+  // Open or confirmed; only active flags take new occurrences and block claims
+  active: {
+    type: Boolean,
+    default: true
+  },
+  reviewedBy: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'fraud_flags'
+});
+
+fraudFlagSchema.index({ rule: 1, key: 1 }, { unique: true, partialFilterExpression: { active: true } });
+fraudFlagSchema.index({ status: 1, lastSeenAt: -1 });
+fraudFlagSchema.index({ utr: 1 });
+
+fraudFlagSchema.methods.toJSON = function() {
+  const flag = this.toObject();
+  return {
+    id: flag._id,
+    rule: flag.rule,
+    scope: flag.scope,
+    key: flag.key,
+    severity: flag.severity,
+    reason: flag.reason,
+    details: flag.details,
+    utr: flag.utr,
+    client: flag.client,
+    occurrences: flag.occurrences,
+    status: flag.status,
+    reviewedBy: flag.reviewedBy,
+    reviewedAt: flag.reviewedAt,
+    reviewNote: flag.reviewNote,
+    firstSeenAt: flag.createdAt,
+    lastSeenAt: flag.lastSeenAt
+  };
+};
+
+// Static methods
+// Creates the flag, or adds an occurrence to the active one for the same
+// rule and key; `created` tells the two apart
+fraudFlagSchema.statics.raise = async function({ rule, scope, key, severity, reason, details = null, utr = null, client = null }) {
+  const filter = { rule, key, active: true };
+  const update = {
+    $setOnInsert: { scope, severity, status: 'open' },
+    $set: { reason, details, lastSeenAt: new Date(), ...(utr && { utr }), ...(client && { client }) },
+    $inc: { occurrences: 1 }
+  };
+
+  // Two concurrent first occurrences: the loser retries as an update
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await this.findOneAndUpdate(filter, update, {
+        upsert: true,
+        new: true,
+        includeResultMetadata: true
+      });
+      return { flag: result.value, created: !result.lastErrorObject?.updatedExisting };
+    } catch (error) {
+      if (error.code !== 11000 || attempt > 0) throw error;
+    }
+  }
+};
+
+// An active flag from one of `rules` on the UTR or the client
+fraudFlagSchema.statics.findBlocking = function({ utr, client = null, rules }) {
+  const keys = [{ scope: 'utr', key: utr }];
+  if (client) keys.push({ scope: 'client', key: client });
+
+  return this.findOne({ active: true, rule: { $in: rules }, $or: keys });
+};
+
+fraudFlagSchema.statics.findRecent = function({ status, rule, utr, client, before, limit = 50 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (rule) query.rule = rule;
+  if (utr) query.utr = utr;
+  if (client) query.client = client;
+  if (before) query._id = { $lt: before };
+
+  return this.find(query).sort({ _id: -1 }).limit(limit);
+};
+
+export const FraudFlag = mongoose.model('FraudFlag', fraudFlagSchema);
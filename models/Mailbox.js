@@ -0,0 +1,132 @@
+import mongoose from 'mongoose';
+import { encryptJSON, decryptJSON, isEncrypted } from '../utils/secrets.js';
+
+export const MONITOR_MODES = ['poll', 'push'];
+export const DEFAULT_MAILBOX = 'default';
+
+// One monitored Gmail account
+const mailboxSchema = new mongoose.Schema({
+  // Short identifier used in routes, sync state and on transactions
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^[a-z0-9][a-z0-9_-]{0,39}$/
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  // Gmail address, learned when the account is connected
+  email: {
+    type: String,
+    default: null,
+    lowercase: true,
+    index: true
+  },
+  // OAuth2 tokens, encrypted; see readTokens/saveTokens
+  tokens: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Set when Google rejected the refresh token; monitoring stays paused
+  // until the mailbox is re-authenticated
+  authError: {
+    reason: { type: String, default: null },
+    at: { type: Date, default: null }
+  },
+  // Parser IDs this mailbox runs; empty means every enabled parser
+  parsers: {
+    type: [String],
+    default: []
+  },
+  // Seconds between polls
+  pollInterval: {
+    type: Number,
+    default: 30,
+    min: 5
+  },
+  mode: {
+    type: String,
+    enum: MONITOR_MODES,
+    default: 'poll'
+  },
+  // Whether monitoring should be running; resumed on restart
+  active: {
+    type: Boolean,
+    default: false
+  },
+  lastStartedAt: {
+    type: Date,
+    default: null
+  },
+  lastStoppedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'mailboxes'
+});
+
+mailboxSchema.methods.toJSON = function() {
+  const mailbox = this.toObject();
+  return {
+    key: mailbox.key,
+    name: mailbox.name,
+    email: mailbox.email,
+    connected: !!mailbox.tokens,
+    parsers: mailbox.parsers,
+    pollInterval: mailbox.pollInterval,
+    mode: mailbox.mode,
+    active: mailbox.active,
+    lastStartedAt: mailbox.lastStartedAt,
+    lastStoppedAt: mailbox.lastStoppedAt,
+    lastError: mailbox.lastError,
+    authError: mailbox.authError?.reason ? mailbox.authError : null,
+    createdAt: mailbox.createdAt
+  };
+};
+
+// Tokens saved before encryption was added are returned as stored
+mailboxSchema.methods.readTokens = function() {
+  if (!this.tokens) return null;
+  return isEncrypted(this.tokens) ? decryptJSON(this.tokens) : this.tokens;
+};
+
+mailboxSchema.methods.hasPlaintextTokens = function() {
+  return !!this.tokens && !isEncrypted(this.tokens);
+};
+
+// Static methods
+mailboxSchema.statics.findByKey = function(key) {
+  return this.findOne({ key });
+};
+
+mailboxSchema.statics.ensureDefault = function() {
+  return this.findOneAndUpdate(
+    { key: DEFAULT_MAILBOX },
+    { $setOnInsert: { key: DEFAULT_MAILBOX, name: 'Default mailbox' } },
+    { upsert: true, new: true }
+  );
+};
+
+mailboxSchema.statics.saveTokens = function(key, tokens, { email } = {}) {
+  const update = { tokens: encryptJSON(tokens) };
+  if (email) update.email = email;
+
+  return this.findOneAndUpdate({ key }, { $set: update }, { new: true });
+};
+
+mailboxSchema.statics.setAuthError = function(key, reason) {
+  return this.updateOne(
+    { key },
+    { $set: { authError: reason ? { reason, at: new Date() } : { reason: null, at: null } } }
+  );
+};
+
+export const Mailbox = mongoose.model('Mailbox', mailboxSchema);
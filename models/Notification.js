@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_KINDS = ['stale_unclaimed', 'daily_digest', 'test'];
+
+const channelResultSchema = new mongoose.Schema({
+  channel: String,
+  ok: Boolean,
+  error: String
+}, { _id: false });
+
+// Alerts and digests sent through the notifier channels
+const notificationSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: NOTIFICATION_KINDS,
+    required: true
+  },
+  // Makes a notification send at most once, e.g. the digest's date; the
+  // document is inserted before sending, so only one instance sends it
+  dedupeKey: {
+    type: String,
+    default: null
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  results: {
+    type: [channelResultSchema],
+    default: []
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'notifications'
+});
+
+notificationSchema.index({ kind: 1, dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+notificationSchema.index({ createdAt: -1 });
+
+notificationSchema.methods.toJSON = function() {
+  const notification = this.toObject();
+  return {
+    id: notification._id,
+    kind: notification.kind,
+    dedupeKey: notification.dedupeKey,
+    subject: notification.subject,
+    text: notification.text,
+    data: notification.data,
+    results: notification.results,
+    sentAt: notification.sentAt,
+    createdAt: notification.createdAt
+  };
+};
+
+// Static methods
+notificationSchema.statics.findRecent = function({ kind, before, limit = 50 } = {}) {
+  const query = {};
+  if (kind) query.kind = kind;
+  if (before) query._id = { $lt: before };
+
+  return this.find(query).sort({ _id: -1 }).limit(limit);
+};
+
+export const Notification = mongoose.model('Notification', notificationSchema);
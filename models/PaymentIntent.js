@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+
+export const INTENT_STATUSES = ['awaiting_utr', 'pending', 'resolved', 'failed', 'expired', 'cancelled'];
+export const OPEN_INTENT_STATUSES = ['awaiting_utr', 'pending'];
+
+const paymentIntentSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  customerRef: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: INTENT_STATUSES,
+    default: 'awaiting_utr',
+    index: true
+  },
+  // UTR currently held by this intent; released on expiry/cancel/failure so
+  // the unique index guarantees one UTR can never back two intents
+  utr: {
+    type: String
+  },
+  releasedUtrs: {
+    type: [String],
+    default: []
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  utrSubmittedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  failureCode: {
+    type: String,
+    default: null
+  },
+  failureReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'payment_intents'
+});
+
+paymentIntentSchema.index(
+  { utr: 1 },
+  { unique: true, partialFilterExpression: { utr: { $type: 'string' } } }
+);
+paymentIntentSchema.index({ status: 1, expiresAt: 1 });
+
+paymentIntentSchema.methods.toJSON = function() {
+  const intent = this.toObject();
+  return {
+    id: intent._id,
+    orderId: intent.orderId,
+    amount: intent.amount,
+    customerRef: intent.customerRef,
+    status: intent.status,
+    utr: intent.utr || null,
+    transactionId: intent.transactionId,
+    expiresAt: intent.expiresAt,
+    utrSubmittedAt: intent.utrSubmittedAt,
+    resolvedAt: intent.resolvedAt,
+    failureCode: intent.failureCode,
+    failureReason: intent.failureReason,
+    createdAt: intent.createdAt
+  };
+};
+
+// Static methods
+paymentIntentSchema.statics.findOpenForOrder = function(orderId) {
+  return this.findOne({ orderId, status: { $in: OPEN_INTENT_STATUSES } });
+};
+
+paymentIntentSchema.statics.findPendingByUTR = function(utr) {
+  return this.findOne({ utr, status: 'pending' });
+};
+
+paymentIntentSchema.statics.findByStatus = function(status, limit = 50) {
+  const query = status ? { status } : {};
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+// Update pipeline that applies `update` and moves the held UTR, if any, into
+// releasedUtrs
+function releaseUTRPipeline(update) {
+  return [
+    {
+      $set: {
+        ...update,
+        releasedUtrs: {
+          $cond: [
+            { $eq: [{ $type: '$utr' }, 'string'] },
+            { $concatArrays: ['$releasedUtrs', ['$utr']] },
+            '$releasedUtrs'
+          ]
+        }
+      }
+    },
+    { $unset: 'utr' }
+  ];
+}
+
+paymentIntentSchema.statics.releaseUTR = function(id, fromStatuses, update) {
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: fromStatuses } },
+    releaseUTRPipeline(update),
+    { new: true }
+  );
+};
+
+paymentIntentSchema.statics.expireOverdue = function(now = new Date()) {
+  return this.updateMany(
+    { status: { $in: OPEN_INTENT_STATUSES }, expiresAt: { $lte: now } },
+    releaseUTRPipeline({ status: 'expired' })
+  );
+};
+
+export const PaymentIntent = mongoose.model('PaymentIntent', paymentIntentSchema);
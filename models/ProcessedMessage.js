@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const processedMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  mailbox: {
+    type: String,
+    default: null
+  },
+  outcome: {
+    type: String,
+    // ignored: from a bank's sender, but not a credit alert (e.g. promotions);
+    // gone: deleted before it could be fetched; failed: gave up after
+    // repeated errors so the sync cursor can move on
+    enum: ['saved', 'duplicate', 'unparsed', 'ignored', 'gone', 'failed'],
+    required: true
+  },
+  parser: {
+    type: String,
+    default: null
+  },
+  utr: {
+    type: String,
+    default: null
+  },
+  // Last error, for messages given up on
+  error: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'processed_messages'
+});
+
+// Static methods
+processedMessageSchema.statics.filterUnprocessed = async function(messageIds) {
+  if (!messageIds.length) return [];
+
+  const processed = await this.find({ messageId: { $in: messageIds } })
+    .select('messageId')
+    .lean();
+  const processedIds = new Set(processed.map(m => m.messageId));
+
+  return messageIds.filter(id => !processedIds.has(id));
+};
+
+processedMessageSchema.statics.markProcessed = function(messageId, { mailbox = null, outcome, parser = null, utr = null, error = null }) {
+  return this.updateOne(
+    { messageId },
+    { $set: { mailbox, outcome, parser, utr, error, processedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+export const ProcessedMessage = mongoose.model('ProcessedMessage', processedMessageSchema);
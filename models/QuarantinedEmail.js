@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+export const QUARANTINE_STATUSES = ['pending', 'promoted', 'dismissed'];
+
+// Bank emails that matched a parser's sender but yielded no transaction,
+// kept for manual review
+const quarantinedEmailSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  threadId: {
+    type: String,
+    default: null
+  },
+  mailbox: {
+    type: String,
+    default: null
+  },
+  parsers: {
+    type: [String],
+    default: []
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: String,
+    default: null
+  },
+  subject: {
+    type: String,
+    default: null
+  },
+  emailDate: {
+    type: Date,
+    default: null
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: QUARANTINE_STATUSES,
+    default: 'pending'
+  },
+  resolvedBy: {
+    type: String,
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    default: null
+  },
+  utr: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'quarantined_emails'
+});
+
+quarantinedEmailSchema.index({ status: 1, createdAt: -1 });
+
+quarantinedEmailSchema.methods.toJSON = function() {
+  const email = this.toObject();
+  return {
+    id: email._id,
+    messageId: email.messageId,
+    threadId: email.threadId,
+    mailbox: email.mailbox,
+    parsers: email.parsers,
+    reason: email.reason,
+    from: email.from,
+    subject: email.subject,
+    emailDate: email.emailDate,
+    body: email.body,
+    status: email.status,
+    resolvedBy: email.resolvedBy,
+    resolvedAt: email.resolvedAt,
+    resolutionNote: email.resolutionNote,
+    utr: email.utr,
+    createdAt: email.createdAt
+  };
+};
+
+// Static methods
+quarantinedEmailSchema.statics.quarantine = function(email) {
+  return this.findOneAndUpdate(
+    { messageId: email.messageId },
+    { $setOnInsert: email },
+    { upsert: true, new: true }
+  );
+};
+
+quarantinedEmailSchema.statics.findRecent = function({ status, parser, mailbox, before, limit = 50 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (mailbox) query.mailbox = mailbox;
+  if (parser) query.parsers = parser;
+  if (before) query.createdAt = { $lt: before };
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+// Atomically moves a pending email to promoted/dismissed
+quarantinedEmailSchema.statics.resolve = function(id, status, { resolvedBy = null, note = null, utr = null } = {}) {
+  return this.findOneAndUpdate(
+    { _id: id, status: 'pending' },
+    { $set: { status, resolvedBy, resolvedAt: new Date(), resolutionNote: note, utr } },
+    { new: true }
+  );
+};
+
+export const QuarantinedEmail = mongoose.model('QuarantinedEmail', quarantinedEmailSchema);
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { encryptJSON, decryptJSON } from '../utils/secrets.js';
+
+// Encrypted application secrets, e.g. the Gmail OAuth client
+const secretSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'secrets'
+});
+
+// Static methods
+secretSchema.statics.getValue = async function(name) {
+  const secret = await this.findOne({ name });
+  return secret ? decryptJSON(secret.value) : null;
+};
+
+secretSchema.statics.setValue = function(name, value) {
+  return this.updateOne(
+    { name },
+    { $set: { value: encryptJSON(value) } },
+    { upsert: true }
+  );
+};
+
+export const Secret = mongoose.model('Secret', secretSchema);
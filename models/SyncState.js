@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const syncStateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  historyId: {
+    type: String,
+    default: null
+  },
+  lastSyncedAt: {
+    type: Date,
+    default: null
+  },
+  lastBackfillAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'sync_state'
+});
+
+syncStateSchema.methods.toJSON = function() {
+  const state = this.toObject();
+  return {
+    historyId: state.historyId,
+    lastSyncedAt: state.lastSyncedAt,
+    lastBackfillAt: state.lastBackfillAt
+  };
+};
+
+// Static methods
+syncStateSchema.statics.getState = function(key) {
+  return this.findOneAndUpdate(
+    { key },
+    { $setOnInsert: { key } },
+    { upsert: true, new: true }
+  );
+};
+
+syncStateSchema.statics.advance = function(key, update) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: update },
+    { upsert: true, new: true }
+  );
+};
+
+syncStateSchema.statics.reset = function(key) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { historyId: null, lastSyncedAt: null, lastBackfillAt: null } },
+    { new: true }
+  );
+};
+
+syncStateSchema.statics.resetAll = function() {
+  return this.updateMany(
+    {},
+    { $set: { historyId: null, lastSyncedAt: null, lastBackfillAt: null } }
+  );
+};
+
+export const SyncState = mongoose.model('SyncState', syncStateSchema);
@@ -1,4 +1,37 @@
 import mongoose from 'mongoose';
+import { EVENTS, emitEvent } from '../utils/eventBus.js';
+
+export const TRANSACTION_STATUSES = ['received', 'claimed', 'voided', 'refunded', 'disputed'];
+
+// Allowed status changes; voided and refunded are final
+export const STATUS_TRANSITIONS = {
+  received: ['claimed', 'voided', 'disputed'],
+  claimed: ['received', 'refunded', 'disputed'],
+  disputed: ['received', 'claimed', 'refunded', 'voided'],
+  voided: [],
+  refunded: []
+};
+
+// Statuses that count as money actually kept
+export const SETTLED_STATUSES = ['received', 'claimed', 'disputed'];
+
+// Where a credit was learned from: a bank alert email, or a bank statement
+// line imported during reconciliation
+export const TRANSACTION_ORIGINS = ['email', 'statement'];
+
+// Fields search results can be ordered by
+export const SEARCH_SORT_FIELDS = ['timestamp', 'amount', 'createdAt'];
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: String,
+  reason: String,
+  actor: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const transactionSchema = new mongoose.Schema({
   amount: {
@@ -17,10 +50,97 @@ const transactionSchema = new mongoose.Schema({
     default: Date.now,
     index: true
   },
-  claimed: {
-    type: Boolean,
-    default: false,
+  status: {
+    type: String,
+    enum: TRANSACTION_STATUSES,
+    default: 'received',
+    index: true
+  },
+  statusReason: {
+    type: String,
+    default: null
+  },
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: []
+  },
+  source: {
+    type: String,
+    default: 'OTHER',
+    index: true
+  },
+  parser: {
+    type: String,
+    default: null
+  },
+  origin: {
+    type: String,
+    enum: TRANSACTION_ORIGINS,
+    default: 'email'
+  },
+  // Key of the mailbox the alert arrived in
+  mailbox: {
+    type: String,
+    default: null,
+    index: true
+  },
+  payerVpa: {
+    type: String,
+    default: null
+  },
+  payerName: {
+    type: String,
+    default: null
+  },
+  // Gmail provenance
+  emailId: {
+    type: String,
+    default: null,
+    index: true
+  },
+  threadId: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    emailSubject: { type: String, default: null },
+    emailFrom: { type: String, default: null },
+    emailDate: { type: Date, default: null },
+    // Credit time exactly as parsed from the body, before any fallback
+    creditedAt: { type: Date, default: null },
+    rawContent: { type: String, default: null }
+  },
+  orderId: {
+    type: String,
+    default: null,
     index: true
+  },
+  claimedBy: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  // When a stale-unclaimed alert went out for this credit
+  staleAlertedAt: {
+    type: Date,
+    default: null
+  },
+  // Soft deletion; deleted transactions stay in the collection (keeping
+  // their UTR taken) until the retention job archives them
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    default: null
+  },
+  deleteReason: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true,
@@ -28,8 +148,33 @@ const transactionSchema = new mongoose.Schema({
 });
 
 // Create compound indexes for efficient queries
-transactionSchema.index({ timestamp: -1, claimed: 1 });
+transactionSchema.index({ timestamp: -1, status: 1 });
 transactionSchema.index({ utr: 1 }, { unique: true });
+// Search filters, each with the default sort and the _id tie-breaker used
+// by cursor pagination
+transactionSchema.index({ timestamp: -1, _id: -1 });
+transactionSchema.index({ status: 1, timestamp: -1, _id: -1 });
+transactionSchema.index({ source: 1, timestamp: -1, _id: -1 });
+transactionSchema.index({ mailbox: 1, timestamp: -1, _id: -1 });
+transactionSchema.index({ payerVpa: 1, timestamp: -1 });
+transactionSchema.index({ amount: 1, _id: 1 });
+transactionSchema.index({ createdAt: -1, _id: -1 });
+transactionSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// Soft-deleted transactions are left out of every query and aggregation,
+// except ones that filter on deletedAt themselves
+const READS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'];
+transactionSchema.pre(READS, function() {
+  if (!('deletedAt' in this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+});
+transactionSchema.pre('aggregate', function() {
+  const [first] = this.pipeline();
+  if (!first?.$match || !('deletedAt' in first.$match)) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
 
 // Add methods
 transactionSchema.methods.toJSON = function() {
@@ -39,11 +184,56 @@ transactionSchema.methods.toJSON = function() {
     amount: transaction.amount,
     utr: transaction.utr,
     timestamp: transaction.timestamp,
-    claimed: transaction.claimed,
+    status: transaction.status,
+    claimed: transaction.status === 'claimed',
+    statusReason: transaction.statusReason,
+    source: transaction.source,
+    parser: transaction.parser,
+    origin: transaction.origin || 'email',
+    mailbox: transaction.mailbox,
+    payerVpa: transaction.payerVpa,
+    payerName: transaction.payerName,
+    emailId: transaction.emailId,
+    orderId: transaction.orderId,
+    claimedBy: transaction.claimedBy,
+    claimedAt: transaction.claimedAt,
+    deletedAt: transaction.deletedAt || null,
+    deletedBy: transaction.deletedBy || null,
+    deleteReason: transaction.deleteReason || null,
     createdAt: transaction.createdAt
   };
 };
 
+// Everything recorded about where a credit came from, for disputes
+transactionSchema.methods.toEvidence = function() {
+  const transaction = this.toObject();
+  const metadata = transaction.metadata || {};
+  return {
+    utr: transaction.utr,
+    amount: transaction.amount,
+    status: transaction.status,
+    creditedAt: transaction.timestamp,
+    parsedCreditTime: metadata.creditedAt || null,
+    source: transaction.source,
+    parser: transaction.parser,
+    origin: transaction.origin || 'email',
+    payer: {
+      vpa: transaction.payerVpa,
+      name: transaction.payerName
+    },
+    email: {
+      mailbox: transaction.mailbox,
+      messageId: transaction.emailId,
+      threadId: transaction.threadId,
+      subject: metadata.emailSubject || null,
+      from: metadata.emailFrom || null,
+      date: metadata.emailDate || null
+    },
+    rawContent: metadata.rawContent || null,
+    receivedAt: transaction.createdAt
+  };
+};
+
 // Static methods
 transactionSchema.statics.findRecent = function(limit = 50) {
   return this.find()
@@ -55,19 +245,311 @@ transactionSchema.statics.findByUTR = function(utr) {
   return this.findOne({ utr });
 };
 
-transactionSchema.statics.claimTransaction = function(utr) {
+// Amounts are compared to the paisa
+const AMOUNT_TOLERANCE = 0.005;
+
+// Query for already validated search filters; see services/transactionSearch.js
+transactionSchema.statics.buildSearchQuery = function({
+  utr, utrPrefix, amount, minAmount, maxAmount, status, claimed,
+  startDate, endDate, payerVpa, source, mailbox, origin
+} = {}) {
+  const query = {};
+
+  if (utr) {
+    query.utr = utr;
+  } else if (utrPrefix) {
+    // Anchored, so it can still use the utr index
+    query.utr = { $regex: `^${utrPrefix}` };
+  }
+
+  if (amount !== undefined) {
+    query.amount = { $gte: amount - AMOUNT_TOLERANCE, $lte: amount + AMOUNT_TOLERANCE };
+  } else if (minAmount !== undefined || maxAmount !== undefined) {
+    query.amount = {};
+    if (minAmount !== undefined) query.amount.$gte = minAmount - AMOUNT_TOLERANCE;
+    if (maxAmount !== undefined) query.amount.$lte = maxAmount + AMOUNT_TOLERANCE;
+  }
+
+  if (status?.length) {
+    query.status = { $in: status };
+  }
+  if (claimed !== undefined) {
+    query.status = claimed
+      ? 'claimed'
+      : { ...query.status, $ne: 'claimed' };
+  }
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) query.timestamp.$gte = startDate;
+    if (endDate) query.timestamp.$lte = endDate;
+  }
+
+  if (payerVpa) query.payerVpa = payerVpa;
+  if (source) query.source = source;
+  if (mailbox) query.mailbox = mailbox;
+  // Documents from before `origin` existed all came from email
+  if (origin) query.origin = origin === 'email' ? { $ne: 'statement' } : origin;
+
+  return query;
+};
+
+// One page of search results ordered by `sort` with _id as tie-breaker;
+// `after` is the { value, id } of the last row of the previous page
+transactionSchema.statics.searchPage = function(query, { sort = 'timestamp', order = 'desc', after = null, limit = 50 } = {}) {
+  const direction = order === 'asc' ? 1 : -1;
+  let pageQuery = query;
+
+  if (after) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    pageQuery = {
+      $and: [
+        query,
+        {
+          $or: [
+            { [sort]: { [op]: after.value } },
+            { [sort]: after.value, _id: { [op]: after.id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  return this.find(pageQuery)
+    .sort({ [sort]: direction, _id: direction })
+    .limit(limit);
+};
+
+// Count and amounts of everything matching a search, ignoring pagination
+transactionSchema.statics.getSearchTotals = async function(query) {
+  const groups = await this.aggregate([
+    { $match: query },
+    { $group: { _id: '$status', total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  const byStatus = Object.fromEntries(
+    TRANSACTION_STATUSES.map(status => [status, { total: 0, count: 0 }])
+  );
+  for (const group of groups) {
+    byStatus[group._id] = { total: group.total, count: group.count };
+  }
+
+  const all = Object.values(byStatus);
+  const settled = SETTLED_STATUSES.map(status => byStatus[status]);
+  return {
+    count: all.reduce((sum, s) => sum + s.count, 0),
+    amount: all.reduce((sum, s) => sum + s.total, 0),
+    settledAmount: settled.reduce((sum, s) => sum + s.total, 0),
+    byStatus
+  };
+};
+
+transactionSchema.statics.claimTransaction = async function(utr, { orderId, amount, claimedBy = null }) {
+  const transaction = await this.findOneAndUpdate(
+    {
+      utr,
+      status: 'received',
+      amount: { $gte: amount - AMOUNT_TOLERANCE, $lte: amount + AMOUNT_TOLERANCE }
+    },
+    {
+      $set: {
+        status: 'claimed',
+        statusReason: null,
+        orderId,
+        claimedBy,
+        claimedAt: new Date()
+      },
+      $push: { statusHistory: { from: 'received', to: 'claimed', actor: claimedBy } }
+    },
+    { new: true }
+  );
+
+  if (transaction) {
+    emitEvent(EVENTS.TRANSACTION_CLAIMED, transaction.toJSON());
+  }
+  return transaction;
+};
+
+transactionSchema.methods.matchesAmount = function(amount) {
+  return Math.abs(this.amount - amount) <= AMOUNT_TOLERANCE;
+};
+
+transactionSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Atomically moves a transaction from `from` to `to`; returns null if its
+// status changed in the meantime
+transactionSchema.statics.transition = function(utr, { from, to, reason = null, actor = null, set = {} }) {
   return this.findOneAndUpdate(
-    { utr, claimed: false },
-    { claimed: true },
+    { utr, status: from },
+    {
+      $set: { ...set, status: to, statusReason: reason },
+      $push: { statusHistory: { from, to, reason, actor } }
+    },
     { new: true }
   );
 };
 
+// Analytics; `query` comes from buildSearchQuery. Buckets are calendar
+// hours/days/weeks (Monday first)/months in the given IANA timezone.
+transactionSchema.statics.getTimeSeries = function(query, { unit = 'day', timezone = 'Asia/Kolkata' } = {}) {
+  return this.aggregate([
+    { $match: query },
+    {
+      $group: {
+        _id: {
+          bucket: { $dateTrunc: { date: '$timestamp', unit, timezone, startOfWeek: 'monday' } },
+          source: '$source',
+          status: '$status'
+        },
+        count: { $sum: 1 },
+        total: { $sum: '$amount' }
+      }
+    },
+    { $sort: { '_id.bucket': 1 } }
+  ]);
+};
+
+// Seconds from credit to claim for claimed transactions: count, average,
+// min/max and the requested percentiles (exact, by rank)
+transactionSchema.statics.getClaimLatency = async function(query, percentiles = [0.5, 0.9, 0.95, 0.99]) {
+  const latency = [
+    { $match: { $and: [query, { status: 'claimed', claimedAt: { $ne: null } }] } },
+    // Credit times parsed without a time of day can fall after the claim
+    { $project: { seconds: { $max: [0, { $divide: [{ $subtract: ['$claimedAt', '$timestamp'] }, 1000] }] } } }
+  ];
+
+  const [summary] = await this.aggregate([
+    ...latency,
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        average: { $avg: '$seconds' },
+        min: { $min: '$seconds' },
+        max: { $max: '$seconds' }
+      }
+    }
+  ]);
+
+  if (!summary) {
+    return { count: 0, average: null, min: null, max: null, percentiles: {} };
+  }
+
+  const ranks = Object.fromEntries(
+    percentiles.map(p => [`p${Math.round(p * 100)}`, Math.ceil(p * summary.count) - 1])
+  );
+  const [picked] = await this.aggregate([
+    ...latency,
+    { $sort: { seconds: 1 } },
+    {
+      $facet: Object.fromEntries(
+        Object.entries(ranks).map(([name, rank]) => [name, [{ $skip: Math.max(rank, 0) }, { $limit: 1 }]])
+      )
+    }
+  ]).allowDiskUse(true);
+
+  return {
+    count: summary.count,
+    average: summary.average,
+    min: summary.min,
+    max: summary.max,
+    percentiles: Object.fromEntries(
+      Object.keys(ranks).map(name => [name, picked[name][0]?.seconds ?? null])
+    )
+  };
+};
+
+// Count and total per amount range; `boundaries` are ascending lower
+// bounds, amounts from the last boundary up fall in the last range
+transactionSchema.statics.getAmountHistogram = function(query, boundaries) {
+  return this.aggregate([
+    { $match: query },
+    {
+      $bucket: {
+        groupBy: '$amount',
+        boundaries,
+        default: 'above',
+        output: { count: { $sum: 1 }, total: { $sum: '$amount' } }
+      }
+    }
+  ]);
+};
+
+transactionSchema.statics.getLargest = function(query, limit = 10) {
+  return this.find(query).sort({ amount: -1, _id: -1 }).limit(limit);
+};
+
+// Converts documents written before the status lifecycle existed
+transactionSchema.statics.migrateClaimedFlag = async function() {
+  const collection = this.collection;
+  const claimed = await collection.updateMany(
+    { status: { $exists: false }, claimed: true },
+    { $set: { status: 'claimed' }, $unset: { claimed: '' } }
+  );
+  const received = await collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'received' }, $unset: { claimed: '' } }
+  );
+  return claimed.modifiedCount + received.modifiedCount;
+};
+
 transactionSchema.statics.getUnclaimedTransactions = function() {
-  return this.find({ claimed: false }).sort({ timestamp: -1 });
+  return this.find({ status: 'received' }).sort({ timestamp: -1 });
+};
+
+// Unclaimed credits received before `cutoff`, oldest first; `alerted: false`
+// leaves out those already alerted on
+transactionSchema.statics.findStaleUnclaimed = function(cutoff, { alerted, limit = 100 } = {}) {
+  const query = { status: 'received', timestamp: { $lte: cutoff } };
+  if (alerted === false) query.staleAlertedAt = null;
+
+  return this.find(query).sort({ timestamp: 1 }).limit(limit);
+};
+
+// Reserves a credit for a stale alert; false if another run already did
+transactionSchema.statics.markStaleAlerted = async function(id) {
+  const result = await this.updateOne(
+    { _id: id, status: 'received', staleAlertedAt: null },
+    { $set: { staleAlertedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
 };
 
-transactionSchema.statics.getTotalAmount = function(startDate, endDate, claimedOnly = false) {
+// Gives reserved credits back to the next stale check (the alert failed)
+transactionSchema.statics.releaseStaleAlerted = function(ids) {
+  return this.updateMany({ _id: { $in: ids } }, { $set: { staleAlertedAt: null } });
+};
+
+// Soft deletion and restore; both return null if the transaction is
+// missing or already in the requested state
+transactionSchema.statics.softDelete = function(utr, { actor = null, reason = null }) {
+  return this.findOneAndUpdate(
+    { utr, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy: actor, deleteReason: reason } },
+    { new: true }
+  );
+};
+
+transactionSchema.statics.undelete = function(utr) {
+  return this.findOneAndUpdate(
+    { utr, deletedAt: { $ne: null } },
+    { $set: { deletedAt: null, deletedBy: null, deleteReason: null } },
+    { new: true }
+  );
+};
+
+transactionSchema.statics.findDeleted = function({ before, limit = 50 } = {}) {
+  const query = { deletedAt: { $ne: null } };
+  if (before) query._id = { $lt: before };
+
+  return this.find(query).sort({ _id: -1 }).limit(limit);
+};
+
+// Totals per status plus the settled total, which leaves out voided and
+// refunded credits
+transactionSchema.statics.getTotalAmount = async function(startDate, endDate, claimedOnly = false) {
   const query = {};
   if (startDate || endDate) {
     query.timestamp = {};
@@ -75,13 +557,27 @@ transactionSchema.statics.getTotalAmount = function(startDate, endDate, claimedO
     if (endDate) query.timestamp.$lte = new Date(endDate);
   }
   if (claimedOnly) {
-    query.claimed = true;
+    query.status = 'claimed';
   }
   
-  return this.aggregate([
+  const groups = await this.aggregate([
     { $match: query },
-    { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    { $group: { _id: '$status', total: { $sum: '$amount' }, count: { $sum: 1 } } }
   ]);
+
+  const byStatus = Object.fromEntries(
+    TRANSACTION_STATUSES.map(status => [status, { total: 0, count: 0 }])
+  );
+  for (const group of groups) {
+    byStatus[group._id] = { total: group.total, count: group.count };
+  }
+
+  const settled = SETTLED_STATUSES.map(status => byStatus[status]);
+  return {
+    total: settled.reduce((sum, s) => sum + s.total, 0),
+    count: settled.reduce((sum, s) => sum + s.count, 0),
+    byStatus
+  };
 };
 
 export const Transaction = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
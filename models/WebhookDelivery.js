@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema({
+  endpointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastResponseStatus: {
+    type: Number,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_deliveries'
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+webhookDeliverySchema.methods.toJSON = function() {
+  const delivery = this.toObject();
+  return {
+    id: delivery._id,
+    endpointId: delivery.endpointId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+    lastAttemptAt: delivery.lastAttemptAt,
+    lastResponseStatus: delivery.lastResponseStatus,
+    lastError: delivery.lastError,
+    deliveredAt: delivery.deliveredAt,
+    payload: delivery.payload,
+    createdAt: delivery.createdAt
+  };
+};
+
+// Static methods
+webhookDeliverySchema.statics.findDue = function(limit = 20) {
+  return this.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+};
+
+webhookDeliverySchema.statics.findRecent = function({ status, endpointId, limit = 50 } = {}) {
+  const query = {};
+  if (status) query.status = status;
+  if (endpointId) query.endpointId = endpointId;
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
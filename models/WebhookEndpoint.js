@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const webhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  secret: {
+    type: String,
+    required: true
+  },
+  // Event names, or '*' for every event
+  events: {
+    type: [String],
+    default: ['*']
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_endpoints'
+});
+
+// The secret is only returned once, when the endpoint is created
+webhookEndpointSchema.methods.toJSON = function() {
+  const endpoint = this.toObject();
+  return {
+    id: endpoint._id,
+    url: endpoint.url,
+    events: endpoint.events,
+    description: endpoint.description,
+    active: endpoint.active,
+    createdAt: endpoint.createdAt
+  };
+};
+
+// Static methods
+webhookEndpointSchema.statics.findSubscribed = function(event) {
+  return this.find({ active: true, events: { $in: [event, '*'] } });
+};
+
+export const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -0,0 +1,31 @@
+// Issues an API key directly in MongoDB, e.g. to bootstrap the first admin key.
+// Usage: node scripts/createApiKey.js <name> [scope,scope] [rateLimitPerMinute]
+import { database } from '../config/database.js';
+import { apiKeyService } from '../services/apiKeys.js';
+
+const [name, scopes = 'admin', rateLimit] = process.argv.slice(2);
+
+if (!name) {
+  console.error('Usage: node scripts/createApiKey.js <name> [read,claim,admin] [rateLimitPerMinute]');
+  process.exit(1);
+}
+
+try {
+  await database.connect();
+
+  const apiKey = await apiKeyService.create({
+    name,
+    scopes: scopes.split(',').map(scope => scope.trim()),
+    rateLimit: rateLimit ? parseInt(rateLimit) : null,
+    createdBy: 'cli'
+  });
+
+  console.log(`\n🔑 API key "${apiKey.name}" created with scopes: ${apiKey.scopes.join(', ')}`);
+  console.log(`   ${apiKey.key}`);
+  console.log('   Store it now; it cannot be shown again.\n');
+} catch (error) {
+  console.error('❌ Failed to create API key:', error.message);
+  process.exitCode = 1;
+} finally {
+  await database.disconnect();
+}
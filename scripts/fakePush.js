@@ -0,0 +1,41 @@
+// Sends a Gmail-style Pub/Sub push to the local webhook.
+// Usage: node scripts/fakePush.js [historyId] [emailAddress]
+// emailAddress must be the Gmail address of a mailbox monitoring in push mode.
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const port = process.env.PORT || 3000;
+const token = process.env.PUBSUB_VERIFICATION_TOKEN;
+const historyId = process.argv[2] || String(Date.now());
+const emailAddress = process.argv[3] || 'me@example.com';
+
+const url = new URL(`http://localhost:${port}/api/gmail/push`);
+if (token) {
+  url.searchParams.set('token', token);
+}
+
+const body = {
+  message: {
+    data: Buffer.from(JSON.stringify({ emailAddress, historyId })).toString('base64'),
+    messageId: `fake-${Date.now()}`,
+    publishTime: new Date().toISOString()
+  },
+  subscription: 'projects/local/subscriptions/fake-gmail-push'
+};
+
+try {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  console.log(`📨 Push sent (historyId ${historyId}): ${response.status} ${response.statusText}`);
+  if (response.status !== 204) {
+    console.log(await response.text());
+  }
+} catch (error) {
+  console.error('❌ Failed to send push:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,28 @@
+// Stores a Google OAuth client JSON (as downloaded from Cloud Console) in
+// MongoDB, encrypted with TOKEN_ENCRYPTION_KEY. Delete the file afterwards.
+// Usage: node scripts/importCredentials.js [path/to/credentials.json]
+import fs from 'fs/promises';
+import { database } from '../config/database.js';
+import { Secret } from '../models/Secret.js';
+
+const file = process.argv[2] || 'credentials.json';
+
+try {
+  const credentials = JSON.parse(await fs.readFile(file, 'utf8'));
+  const { client_id, client_secret, redirect_uris = [] } = credentials.web || credentials.installed || {};
+
+  if (!client_id || !client_secret) {
+    throw new Error(`${file} has no client_id/client_secret`);
+  }
+
+  await database.connect();
+  await Secret.setValue('gmail_oauth_client', { client_id, client_secret, redirect_uris });
+
+  console.log(`\n🔐 OAuth client ${client_id} stored encrypted in MongoDB`);
+  console.log(`   You can now delete ${file}.\n`);
+} catch (error) {
+  console.error('❌ Failed to import credentials:', error.message);
+  process.exitCode = 1;
+} finally {
+  await database.disconnect();
+}
@@ -0,0 +1,78 @@
+// Runs every fixture email in fixtures/emails through body extraction and the
+// parser registry, and fails when a result differs from the fixture's expected
+// transaction. Runs offline; no Gmail or MongoDB connection is needed.
+// Usage: node scripts/verifyParsers.js [fixture-name-filter]
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { GmailMonitor } from '../services/gmailMonitor.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'emails');
+const filter = process.argv[2];
+
+const monitor = new GmailMonitor();
+const files = fs.readdirSync(fixturesDir)
+  .filter(file => file.endsWith('.json'))
+  .filter(file => !filter || file.includes(filter))
+  .sort();
+
+let passed = 0;
+let failed = 0;
+let skipped = 0;
+
+for (const file of files) {
+  const name = path.basename(file, '.json');
+  const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+
+  if (fixture.skip) {
+    skipped++;
+    console.log(`⏭️  ${name} - skipped: ${fixture.skip}`);
+    continue;
+  }
+
+  const preview = await monitor.previewParse({
+    message: fixture.message,
+    attachments: fixture.attachments || {},
+    attachmentTypes: fixture.attachmentTypes
+  });
+  const actual = preview.selectedParser
+    ? { parser: preview.selectedParser, ...preview.results.find(r => r.parser === preview.selectedParser).result }
+    : null;
+  const mismatches = compare(fixture.expected, actual);
+  if (fixture.quarantine !== undefined && preview.quarantine !== fixture.quarantine) {
+    mismatches.push(`quarantine: expected ${fixture.quarantine}, got ${preview.quarantine}`);
+  }
+
+  if (mismatches.length) {
+    failed++;
+    console.log(`❌ ${name} - ${fixture.description}`);
+    for (const mismatch of mismatches) {
+      console.log(`     ${mismatch}`);
+    }
+    console.log(`     body: ${JSON.stringify(preview.bodyText.slice(0, 200))}`);
+  } else {
+    passed++;
+    console.log(`✅ ${name}`);
+  }
+}
+
+console.log(`\n${passed} passed, ${failed} failed, ${skipped} skipped`);
+process.exit(failed > 0 ? 1 : 0);
+
+// Only the fields listed in the fixture are checked; dates are compared as
+// ISO strings
+function compare(expected, actual) {
+  if (expected === null) {
+    return actual ? [`expected no transaction, got ${actual.parser} ${actual.utr}`] : [];
+  }
+  if (!actual) {
+    return ['expected a transaction, no parser matched'];
+  }
+
+  return Object.entries(expected)
+    .filter(([key, value]) => {
+      const got = actual[key] instanceof Date ? actual[key].toISOString() : actual[key];
+      return got !== value;
+    })
+    .map(([key, value]) => `${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual[key])}`);
+}
@@ -1,8 +1,27 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { GmailMonitor } from './services/gmailMonitor.js';
+import { mailboxManager } from './services/mailboxManager.js';
 import { database } from './config/database.js';
+import { paymentIntentService } from './services/paymentIntents.js';
+import { webhookDispatcher } from './services/webhookDispatcher.js';
+import { eventStream } from './services/eventStream.js';
+import { apiKeyService } from './services/apiKeys.js';
+import { authenticate, requireScope, actorOf, withRequestContext } from './middleware/auth.js';
+import { auditLog } from './services/auditLog.js';
+import { transactionLifecycle } from './services/transactionLifecycle.js';
+import { transactionSearch } from './services/transactionSearch.js';
+import { transactionExport } from './services/transactionExport.js';
+import { reconciliation } from './services/reconciliation.js';
+import { analytics } from './services/analytics.js';
+import { alertService } from './services/alerts.js';
+import { transactionRetention } from './services/retention.js';
+import { fraudDetection } from './services/fraudDetection.js';
+import { Transaction } from './models/Transaction.js';
+import { DEFAULT_MAILBOX } from './models/Mailbox.js';
+import { AppError, sendError } from './utils/errors.js';
+import { renderAuthPage } from './utils/authPage.js';
+import { verifyOAuthState } from './services/oauthState.js';
 
 dotenv.config();
 
@@ -10,19 +29,49 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+const corsOrigins = process.env.CORS_ORIGINS?.split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(corsOrigins?.length ? { origin: corsOrigins } : {}));
 app.use(express.json());
 
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+// Every /api route needs an API key unless listed as public in middleware/auth.js
+app.use('/api', authenticate, withRequestContext);
+
 // Initialize database connection
+// Default mailbox's monitor, also used for queries that span all mailboxes
 let gmailMonitor;
 
 async function initializeApp() {
   try {
     // Connect to MongoDB
     await database.connect();
+
+    const migrated = await Transaction.migrateClaimedFlag();
+    if (migrated > 0) {
+      console.log(`🔄 Migrated ${migrated} transactions to the status lifecycle`);
+    }
     
-    // Initialize Gmail Monitor
-    gmailMonitor = new GmailMonitor();
+    // Expire stale payment intents in the background
+    paymentIntentService.startExpirySweep();
+
+    // Deliver and retry outbound webhooks
+    webhookDispatcher.start();
+
+    // Fan out events to connected stream clients
+    eventStream.start();
+
+    // Stale unclaimed alerts and the daily digest
+    alertService.start();
+
+    // Archive old and soft-deleted transactions
+    transactionRetention.start();
+
+    // Load mailboxes and resume the ones that were monitoring
+    await mailboxManager.init();
+    gmailMonitor = mailboxManager.get(DEFAULT_MAILBOX);
     
     console.log('✅ Application initialized successfully');
   } catch (error) {
@@ -32,83 +81,407 @@ async function initializeApp() {
 }
 
 // Health check endpoint
+// 503 when a monitored mailbox has gone without a successful sync for too
+// long, or is paused for re-authentication, so load balancers and uptime
+// checks notice a stuck monitor
 app.get('/api/health', async (req, res) => {
   const dbStatus = database.getConnectionStatus();
-  res.json({
-    status: 'ok',
+  const sync = mailboxManager.getSyncHealth();
+  res.status(sync.healthy ? 200 : 503).json({
+    status: sync.healthy ? 'ok' : 'unhealthy',
     database: dbStatus,
+    sync,
     timestamp: new Date().toISOString()
   });
 });
 
-// Get authentication URL
-app.get('/api/auth-url', async (req, res) => {
+// Callback URL as seen by the browser; getAuthUrl only uses it when it is
+// one of the allowed redirect URIs
+function callbackUrl(req) {
+  return `${req.protocol}://${req.get('host')}/api/auth/callback`;
+}
+
+// Get authentication URL (?mailbox=<key>, default mailbox otherwise)
+app.get('/api/auth-url', requireScope('admin'), async (req, res) => {
   try {
-    const authUrl = await gmailMonitor.getAuthUrl();
+    const authUrl = await mailboxManager.get(req.query.mailbox || DEFAULT_MAILBOX)
+      .getAuthUrl({ redirectUri: callbackUrl(req) });
     res.json({ authUrl });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// Handle OAuth callback
+// Handle OAuth callback; browsers get a result page, API clients JSON
 app.get('/api/auth/callback', async (req, res) => {
+  const wantsJson = req.accepts(['html', 'json']) === 'json';
+
   try {
-    const { code } = req.query;
+    const { code, state, error } = req.query;
+    if (error) {
+      throw new AppError(`Google sign-in was not completed (${error})`, { status: 400, code: 'OAUTH_DENIED' });
+    }
     if (!code) {
-      return res.status(400).json({ error: 'Authorization code is required' });
+      throw new AppError('Authorization code is required', { status: 400, code: 'VALIDATION_ERROR' });
     }
-    
-    await gmailMonitor.handleAuthCallback(code);
-    res.json({ message: 'Authentication successful! You can now start monitoring.' });
+
+    const { mailbox, redirectUri } = verifyOAuthState(state);
+    const monitor = mailboxManager.get(mailbox);
+    await monitor.handleAuthCallback(String(code), { redirectUri });
+
+    const message = `${monitor.email} is connected to mailbox "${mailbox}". You can close this window and start monitoring.`;
+    if (wantsJson) {
+      return res.json({ message: 'Authentication successful! You can now start monitoring.', mailbox, email: monitor.email });
+    }
+    res.send(renderAuthPage({ success: true, title: 'Gmail connected', message }));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (wantsJson) {
+      return sendError(res, error);
+    }
+    res.status(error instanceof AppError ? error.status : 500)
+      .send(renderAuthPage({ success: false, title: 'Gmail connection failed', message: error.message }));
+  }
+});
+
+// Granted scopes, account and token expiry (?mailbox=<key>&verify=true)
+app.get('/api/auth/status', requireScope('read'), async (req, res) => {
+  try {
+    const monitor = mailboxManager.get(req.query.mailbox || DEFAULT_MAILBOX);
+    res.json(await monitor.getAuthStatus({ verify: req.query.verify === 'true' }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Disconnect a Gmail account (body: { mailbox })
+app.post('/api/auth/revoke', requireScope('admin'), async (req, res) => {
+  try {
+    res.json(await mailboxManager.get(req.body?.mailbox || DEFAULT_MAILBOX).revokeAuth());
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // Start monitoring
-app.post('/api/monitor/start', async (req, res) => {
+app.post('/api/monitor/start', requireScope('admin'), async (req, res) => {
   try {
-    const result = await gmailMonitor.startMonitoring();
+    const result = await mailboxManager.start(req.body?.mailbox || DEFAULT_MAILBOX, { mode: req.body?.mode });
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Stop monitoring
-app.post('/api/monitor/stop', (req, res) => {
+app.post('/api/monitor/stop', requireScope('admin'), async (req, res) => {
   try {
-    const result = gmailMonitor.stopMonitoring();
+    const result = await mailboxManager.stop(req.body?.mailbox || DEFAULT_MAILBOX);
     res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Gmail Pub/Sub push endpoint
+app.post('/api/gmail/push', async (req, res) => {
+  try {
+    const verification = await mailboxManager.verifyPushRequest(req);
+
+    if (!verification.valid) {
+      return res.status(401).json({ error: verification.reason });
+    }
+
+    const result = mailboxManager.handlePushNotification(req.body);
+
+    if (!result.accepted) {
+      console.log(`⚠️ Ignored Gmail push: ${result.reason}`);
+    }
+
+    // Always acknowledge verified pushes so Pub/Sub does not redeliver them
+    res.status(204).end();
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Get monitoring status
-app.get('/api/monitor/status', async (req, res) => {
+app.get('/api/monitor/status', requireScope('read'), async (req, res) => {
   try {
-    const status = await gmailMonitor.getStatus();
-    res.json(status);
+    const status = await mailboxManager.get(req.query.mailbox || DEFAULT_MAILBOX).getStatus();
+    res.json({
+      ...status,
+      mailboxes: mailboxManager.getAll().map(m => m.getMailboxStatus()),
+      alerts: mailboxManager.getAlerts()
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
-// Get all transactions
-app.get('/api/transactions', async (req, res) => {
+// Mailbox registry
+app.get('/api/mailboxes', requireScope('read'), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const transactions = await gmailMonitor.getTransactions(limit);
-    res.json(transactions);
+    const mailboxes = await mailboxManager.list();
+    res.json({ mailboxes, count: mailboxes.length });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+app.post('/api/mailboxes', requireScope('admin'), async (req, res) => {
+  try {
+    const { key, name, parsers, pollInterval, mode } = req.body;
+    const mailbox = await mailboxManager.add({
+      key,
+      name: name ? String(name) : null,
+      parsers,
+      pollInterval: pollInterval === undefined ? undefined : Number(pollInterval),
+      mode
+    });
+    res.status(201).json(mailbox);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
-// Get unclaimed transactions
-app.get('/api/transactions/unclaimed', async (req, res) => {
+// Update a mailbox's name, parsers, poll interval or mode
+app.put('/api/mailboxes/:key', requireScope('admin'), async (req, res) => {
+  try {
+    const { name, parsers, pollInterval, mode } = req.body;
+    const mailbox = await mailboxManager.update(req.params.key, {
+      name,
+      parsers,
+      pollInterval: pollInterval === undefined ? undefined : Number(pollInterval),
+      mode
+    });
+    res.json(mailbox);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/mailboxes/:key', requireScope('admin'), async (req, res) => {
+  try {
+    await mailboxManager.remove(req.params.key);
+    res.json({ message: 'Mailbox removed' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/mailboxes/:key/auth-url', requireScope('admin'), async (req, res) => {
+  try {
+    const authUrl = await mailboxManager.get(req.params.key).getAuthUrl({ redirectUri: callbackUrl(req) });
+    res.json({ authUrl });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/mailboxes/:key/auth', requireScope('read'), async (req, res) => {
+  try {
+    res.json(await mailboxManager.get(req.params.key).getAuthStatus({ verify: req.query.verify === 'true' }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/mailboxes/:key/revoke', requireScope('admin'), async (req, res) => {
+  try {
+    res.json(await mailboxManager.get(req.params.key).revokeAuth());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/mailboxes/:key/start', requireScope('admin'), async (req, res) => {
+  try {
+    res.json(await mailboxManager.start(req.params.key, { mode: req.body?.mode }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/mailboxes/:key/stop', requireScope('admin'), async (req, res) => {
+  try {
+    res.json(await mailboxManager.stop(req.params.key));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/mailboxes/:key/status', requireScope('read'), async (req, res) => {
+  try {
+    res.json(await mailboxManager.get(req.params.key).getStatus());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List bank parsers
+app.get('/api/parsers', requireScope('read'), (req, res) => {
+  res.json({ parsers: gmailMonitor.getParsers() });
+});
+
+// Enable or disable a bank parser
+app.put('/api/parsers/:id', requireScope('admin'), (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+
+    const parser = gmailMonitor.setParserEnabled(req.params.id, enabled);
+    res.json({ parser });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Real-time event stream (Server-Sent Events)
+app.get('/api/stream', requireScope('read'), (req, res) => {
+  eventStream.connect(req, res);
+});
+
+// Dry-run every parser against a Gmail message, payload or body text
+app.post('/api/parse/preview', requireScope('admin'), async (req, res) => {
+  try {
+    const { message, payload, text, from, subject, attachments, attachmentTypes } = req.body;
+
+    if (!message && !payload && typeof text !== 'string') {
+      return res.status(400).json({ error: 'Provide a Gmail message, payload or text', code: 'VALIDATION_ERROR' });
+    }
+
+    res.json(await gmailMonitor.previewParse({ message, payload, text, from, subject, attachments, attachmentTypes }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Bank emails no parser could read, awaiting review (?status=pending)
+app.get('/api/quarantine', requireScope('read'), async (req, res) => {
+  try {
+    const { status, parser, mailbox } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({ error: 'before must be a date', code: 'VALIDATION_ERROR' });
+    }
+
+    const emails = await gmailMonitor.getQuarantine({ status, parser, mailbox, before, limit });
+    res.json({
+      emails: emails.map(e => e.toJSON()),
+      count: emails.length,
+      nextBefore: emails.length === limit ? emails[emails.length - 1].createdAt : null
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/quarantine/:id', requireScope('read'), async (req, res) => {
+  try {
+    const email = await gmailMonitor.getQuarantinedEmail(req.params.id);
+    res.json(email.toJSON());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create the missed transaction from manually entered details
+app.post('/api/quarantine/:id/promote', requireScope('admin'), async (req, res) => {
+  try {
+    const { amount, utr, payerVpa, payerName, creditedAt, note } = req.body;
+
+    const parsedAmount = Number(amount);
+    if (amount === undefined || amount === null || !Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number', code: 'VALIDATION_ERROR' });
+    }
+
+    const normalizedUtr = typeof utr === 'string' || typeof utr === 'number' ? String(utr).trim().toUpperCase() : '';
+    if (!/^[A-Z0-9]{10,22}$/.test(normalizedUtr)) {
+      return res.status(400).json({ error: 'utr must be 10-22 letters or digits', code: 'VALIDATION_ERROR' });
+    }
+
+    const creditedAtDate = creditedAt ? new Date(creditedAt) : null;
+    if (creditedAtDate && isNaN(creditedAtDate.getTime())) {
+      return res.status(400).json({ error: 'creditedAt must be a date', code: 'VALIDATION_ERROR' });
+    }
+
+    const { email, transaction } = await gmailMonitor.promoteQuarantined(req.params.id, {
+      amount: parsedAmount,
+      utr: normalizedUtr,
+      payerVpa: payerVpa ? String(payerVpa).trim().toLowerCase() : null,
+      payerName: payerName ? String(payerName).trim() : null,
+      creditedAt: creditedAtDate,
+      note: note ? String(note) : null
+    });
+
+    res.status(201).json({ message: 'Transaction created from quarantined email', email: email.toJSON(), transaction: transaction.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/quarantine/:id/dismiss', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const email = await gmailMonitor.dismissQuarantined(req.params.id, reason);
+    res.json({ message: 'Quarantined email dismissed', email: email.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Search transactions; filters, sort and cursor are documented in the README
+app.get('/api/transactions', requireScope('read'), async (req, res) => {
+  try {
+    res.json(await transactionSearch.search(req.query));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Stream transactions as CSV, Excel-friendly CSV or NDJSON; takes the same
+// filters as the search plus format, columns, timezone, order and totals
+app.get('/api/transactions/export', requireScope('read'), async (req, res) => {
+  let job;
+  try {
+    job = transactionExport.prepare(req.query);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  // Stop reading from MongoDB if the client disconnects mid-download
+  const abort = new AbortController();
+  res.on('close', () => abort.abort());
+
+  res.setHeader('Content-Type', job.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${job.filename}"`);
+
+  try {
+    const { rows, aborted } = await transactionExport.write(job, res, { signal: abort.signal });
+    if (!aborted) {
+      console.log(`📤 Exported ${rows} transactions as ${job.format}`);
+    }
+    res.end();
+  } catch (error) {
+    if (abort.signal.aborted) return;
+    // Headers are already sent, so the client only sees a truncated download
+    console.error('❌ Transaction export failed:', error.message);
+    res.destroy(error);
+  }
+});
+
+app.get('/api/transactions/export/columns', requireScope('read'), (req, res) => {
+  res.json({ columns: transactionExport.getColumns() });
+});
+
+app.get('/api/transactions/unclaimed', requireScope('read'), async (req, res) => {
   try {
     const transactions = await gmailMonitor.getUnclaimedTransactions();
     res.json(transactions);
@@ -117,32 +490,319 @@ app.get('/api/transactions/unclaimed', async (req, res) => {
   }
 });
 
-// Claim transaction by UTR
-app.post('/api/transactions/claim', async (req, res) => {
+// Claim transaction by UTR for an order
+app.post('/api/transactions/claim', requireScope('claim'), async (req, res) => {
   try {
-    const { utr } = req.body;
+    const { utr, orderId, amount, claimedBy } = req.body;
     
     if (!utr) {
-      return res.status(400).json({ error: 'UTR is required' });
+      return res.status(400).json({ error: 'UTR is required', code: 'VALIDATION_ERROR' });
     }
-    
-    const transaction = await gmailMonitor.claimTransaction(utr);
-    
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found or already claimed' });
+
+    if (!orderId) {
+      return res.status(400).json({ error: 'orderId is required', code: 'VALIDATION_ERROR' });
+    }
+
+    const expectedAmount = Number(amount);
+    if (amount === undefined || amount === null || !Number.isFinite(expectedAmount) || expectedAmount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number', code: 'VALIDATION_ERROR' });
     }
     
+    const { transaction, alreadyClaimed } = await gmailMonitor.claimTransaction(String(utr).trim(), {
+      orderId: String(orderId),
+      amount: expectedAmount,
+      claimedBy: claimedBy ? String(claimedBy) : null
+    });
+    
     res.json({ 
-      message: 'Transaction claimed successfully!',
+      message: alreadyClaimed
+        ? 'Transaction was already claimed for this order'
+        : 'Transaction claimed successfully!',
       transaction: transaction.toJSON()
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Look up which order consumed a UTR
+app.get('/api/transactions/:utr/claim', requireScope('read'), async (req, res) => {
+  try {
+    const claim = await gmailMonitor.getClaimByUTR(req.params.utr);
+    res.json(claim);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// View the email evidence behind a UTR
+app.get('/api/transactions/:utr/evidence', requireScope('admin'), async (req, res) => {
+  try {
+    const evidence = await gmailMonitor.getEvidence(req.params.utr);
+    res.json(evidence);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Admin status changes. Every change needs a reason for the audit trail.
+function requireReason(req, res) {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!reason) {
+    res.status(400).json({ error: 'reason is required', code: 'VALIDATION_ERROR' });
+    return null;
+  }
+  return reason;
+}
+
+// Release a mistaken claim so the UTR can be claimed again
+app.post('/api/transactions/:utr/unclaim', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const transaction = await transactionLifecycle.unclaim(req.params.utr, reason);
+    res.json({ message: 'Transaction unclaimed', transaction: transaction.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Void a credit that should never count (e.g. test or reversed payment)
+app.post('/api/transactions/:utr/void', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const transaction = await transactionLifecycle.void(req.params.utr, reason);
+    res.json({ message: 'Transaction voided', transaction: transaction.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Mark a credit as refunded to the payer
+app.post('/api/transactions/:utr/refund', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const { refundReference } = req.body;
+    const transaction = await transactionLifecycle.refund(
+      req.params.utr,
+      reason,
+      refundReference ? String(refundReference) : null
+    );
+    res.json({ message: 'Transaction marked as refunded', transaction: transaction.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Flag a transaction as disputed
+app.post('/api/transactions/:utr/dispute', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const transaction = await transactionLifecycle.dispute(req.params.utr, reason);
+    res.json({ message: 'Transaction flagged as disputed', transaction: transaction.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Close a dispute with the resulting status
+app.post('/api/transactions/:utr/resolve-dispute', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const { outcome } = req.body;
+    const outcomes = ['received', 'claimed', 'refunded', 'voided'];
+    if (!outcomes.includes(outcome)) {
+      return res.status(400).json({ error: `outcome must be one of ${outcomes.join(', ')}`, code: 'VALIDATION_ERROR' });
+    }
+
+    const transaction = await transactionLifecycle.resolveDispute(req.params.utr, outcome, reason);
+    res.json({ message: 'Dispute resolved', transaction: transaction.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Soft-delete one transaction; it disappears from every listing and can be
+// restored until the retention job archives it
+app.delete('/api/transactions/:utr', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const transaction = await transactionRetention.softDelete(req.params.utr, reason);
+    res.json({ message: 'Transaction deleted', transaction: transaction.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Soft-delete several transactions by UTR
+app.post('/api/transactions/delete', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const results = await transactionRetention.softDeleteMany(req.body.utrs, reason);
+    res.json({
+      deletedCount: results.filter(r => r.deleted).length,
+      results
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Undo a soft delete, or bring a transaction back from the archive
+app.post('/api/transactions/:utr/restore', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const transaction = await transactionRetention.restore(req.params.utr, reason);
+    res.json({ message: 'Transaction restored', transaction: transaction.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/transactions/deleted', requireScope('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const transactions = await transactionRetention.listDeleted({ before: req.query.before, limit });
+    res.json({
+      transactions: transactions.map(t => t.toJSON()),
+      count: transactions.length,
+      nextBefore: transactions.length === limit ? transactions[transactions.length - 1]._id : null
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/transactions/archived', requireScope('admin'), async (req, res) => {
+  try {
+    const { utr, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const transactions = await transactionRetention.listArchived({ utr, before, limit });
+    res.json({
+      transactions: transactions.map(t => t.toJSON()),
+      count: transactions.length,
+      nextBefore: transactions.length === limit ? transactions[transactions.length - 1]._id : null
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/retention', requireScope('admin'), (req, res) => {
+  res.json(transactionRetention.getSettings());
+});
+
+// Run the archive job now instead of waiting for the next interval
+app.post('/api/retention/run', requireScope('admin'), async (req, res) => {
+  try {
+    const result = await transactionRetention.run();
+    if (!result) {
+      return res.status(409).json({ error: 'The retention job is already running', code: 'ALREADY_RUNNING' });
+    }
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create a payment intent for an order
+app.post('/api/payment-intents', requireScope('claim'), async (req, res) => {
+  try {
+    const { orderId, amount, customerRef, expiresInMinutes } = req.body;
+
+    if (!orderId) {
+      return res.status(400).json({ error: 'orderId is required', code: 'VALIDATION_ERROR' });
+    }
+
+    const expectedAmount = Number(amount);
+    if (amount === undefined || amount === null || !Number.isFinite(expectedAmount) || expectedAmount <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive number', code: 'VALIDATION_ERROR' });
+    }
+
+    const ttl = expiresInMinutes !== undefined ? Number(expiresInMinutes) : undefined;
+    if (ttl !== undefined && (!Number.isFinite(ttl) || ttl <= 0)) {
+      return res.status(400).json({ error: 'expiresInMinutes must be a positive number', code: 'VALIDATION_ERROR' });
+    }
+
+    const intent = await paymentIntentService.create({
+      orderId: String(orderId),
+      amount: expectedAmount,
+      customerRef: customerRef ? String(customerRef) : null,
+      expiresInMinutes: ttl
+    });
+    res.status(201).json(intent.toJSON());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List payment intents, optionally by status
+app.get('/api/payment-intents', requireScope('read'), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const intents = await paymentIntentService.list(req.query.status, limit);
+    res.json({
+      intents: intents.map(i => i.toJSON()),
+      count: intents.length
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get a payment intent (storefronts poll this while pending)
+app.get('/api/payment-intents/:id', requireScope('read'), async (req, res) => {
+  try {
+    const intent = await paymentIntentService.get(req.params.id);
+    res.json(intent.toJSON());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Submit the customer's UTR against a payment intent
+app.post('/api/payment-intents/:id/utr', requireScope('claim'), async (req, res) => {
+  try {
+    const { utr } = req.body;
+
+    if (!utr) {
+      return res.status(400).json({ error: 'UTR is required', code: 'VALIDATION_ERROR' });
+    }
+
+    const intent = await paymentIntentService.submitUTR(req.params.id, String(utr).trim());
+    res.json(intent.toJSON());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cancel an open payment intent
+app.post('/api/payment-intents/:id/cancel', requireScope('claim'), async (req, res) => {
+  try {
+    const intent = await paymentIntentService.cancel(req.params.id);
+    res.json(intent.toJSON());
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // Get latest transaction
-app.get('/api/transactions/latest', async (req, res) => {
+app.get('/api/transactions/latest', requireScope('read'), async (req, res) => {
   try {
     const latest = await gmailMonitor.getLatestTransaction();
     res.json(latest);
@@ -152,7 +812,7 @@ app.get('/api/transactions/latest', async (req, res) => {
 });
 
 // Get transaction statistics
-app.get('/api/transactions/stats', async (req, res) => {
+app.get('/api/transactions/stats', requireScope('read'), async (req, res) => {
   try {
     const { startDate, endDate, claimedOnly } = req.query;
     const stats = await gmailMonitor.getTransactionStats(startDate, endDate, claimedOnly === 'true');
@@ -162,16 +822,295 @@ app.get('/api/transactions/stats', async (req, res) => {
   }
 });
 
-// Clear transactions
-app.delete('/api/transactions', async (req, res) => {
+// Bucketed totals, claim latency, amount histogram and largest credits;
+// takes the search filters plus interval, timezone, bins and top
+app.get('/api/analytics', requireScope('read'), async (req, res) => {
   try {
-    const result = await gmailMonitor.clearTransactions();
-    res.json({ 
-      message: `${result.deletedCount} transactions cleared successfully`,
-      deletedCount: result.deletedCount
+    res.json(await analytics.getReport(req.query));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Unclaimed credits older than the alert age, oldest first
+app.get('/api/alerts/stale', requireScope('read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const transactions = await alertService.getStaleUnclaimed({ limit });
+    res.json({
+      staleAfterMinutes: alertService.getSettings().staleAfterMinutes,
+      transactions: transactions.map(t => t.toJSON()),
+      count: transactions.length
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+app.get('/api/alerts/notifications', requireScope('admin'), async (req, res) => {
+  try {
+    const { kind, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const notifications = await alertService.listNotifications({ kind, before, limit });
+    res.json({
+      notifications: notifications.map(n => n.toJSON()),
+      count: notifications.length,
+      nextBefore: notifications.length === limit ? notifications[notifications.length - 1]._id : null
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/alerts/settings', requireScope('admin'), (req, res) => {
+  res.json(alertService.getSettings());
+});
+
+app.post('/api/alerts/test', requireScope('admin'), async (req, res) => {
+  try {
+    const notification = await alertService.sendTest();
+    res.json({ message: 'Test alert sent', notification: notification.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/alerts/check-stale', requireScope('admin'), async (req, res) => {
+  try {
+    const notification = await alertService.checkStale();
+    res.json({
+      message: notification ? 'Stale alert sent' : 'No new stale credits',
+      notification: notification ? notification.toJSON() : null
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.post('/api/alerts/digest', requireScope('admin'), async (req, res) => {
+  try {
+    const notification = await alertService.sendDigest({ date: req.body.date, force: req.body.force === true });
+    res.json({ message: 'Digest sent', notification: notification.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Flags raised by the fraud rules, newest first
+app.get('/api/fraud/flags', requireScope('admin'), async (req, res) => {
+  try {
+    const { status, rule, utr, client, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const flags = await fraudDetection.listFlags({ status, rule, utr, client, before, limit });
+    res.json({
+      flags: flags.map(f => f.toJSON()),
+      count: flags.length,
+      nextBefore: flags.length === limit ? flags[flags.length - 1]._id : null
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/fraud/flags/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const flag = await fraudDetection.getFlag(req.params.id);
+    res.json(flag.toJSON());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Confirm or dismiss a flag; dismissing lifts any claim block it caused
+app.post('/api/fraud/flags/:id/review', requireScope('admin'), async (req, res) => {
+  try {
+    const reason = requireReason(req, res);
+    if (!reason) return;
+
+    const flag = await fraudDetection.review(req.params.id, req.body.status, reason);
+    res.json({ message: `Flag ${flag.status}`, flag: flag.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/fraud/rules', requireScope('admin'), (req, res) => {
+  res.json({ rules: fraudDetection.getRules() });
+});
+
+app.post('/api/webhooks', requireScope('admin'), async (req, res) => {
+  try {
+    const { url, events, secret, description } = req.body;
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return res.status(400).json({ error: 'A valid url is required', code: 'VALIDATION_ERROR' });
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return res.status(400).json({ error: 'url must be http or https', code: 'VALIDATION_ERROR' });
+    }
+
+    if (events !== undefined && (!Array.isArray(events) || !events.length)) {
+      return res.status(400).json({ error: 'events must be a non-empty array', code: 'VALIDATION_ERROR' });
+    }
+
+    const endpoint = await webhookDispatcher.createEndpoint({ url, events, secret, description });
+    res.status(201).json(endpoint);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List webhook endpoints
+app.get('/api/webhooks', requireScope('admin'), async (req, res) => {
+  try {
+    const endpoints = await webhookDispatcher.listEndpoints();
+    res.json({ endpoints: endpoints.map(e => e.toJSON()), count: endpoints.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List webhook deliveries (e.g. ?status=failed)
+app.get('/api/webhooks/deliveries', requireScope('admin'), async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const deliveries = await webhookDispatcher.listDeliveries({
+      status: req.query.status,
+      endpointId: req.query.endpointId,
+      limit
+    });
+    res.json({ deliveries: deliveries.map(d => d.toJSON()), count: deliveries.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Redeliver a webhook
+app.post('/api/webhooks/deliveries/:id/redeliver', requireScope('admin'), async (req, res) => {
+  try {
+    const delivery = await webhookDispatcher.redeliver(req.params.id, { force: req.body?.force === true });
+    res.status(202).json(delivery.toJSON());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Remove a webhook endpoint
+app.delete('/api/webhooks/:id', requireScope('admin'), async (req, res) => {
+  try {
+    await webhookDispatcher.deleteEndpoint(req.params.id);
+    res.json({ message: 'Webhook endpoint removed' });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Permanent deletion is two steps: request a confirmation token for a scope
+// (deleted, archive or all), then send it back with DELETE /api/transactions
+app.post('/api/transactions/purge', requireScope('admin'), async (req, res) => {
+  try {
+    const { scope, before } = req.body;
+    res.json(await transactionRetention.requestPurge({ scope, before }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/transactions', requireScope('admin'), async (req, res) => {
+  try {
+    const result = await transactionRetention.purge(req.body.confirmationToken);
+    res.json({ message: `Purged ${result.scope}`, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Issue an API key
+app.post('/api/keys', requireScope('admin'), async (req, res) => {
+  try {
+    const { name, scopes, rateLimit } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'name is required', code: 'VALIDATION_ERROR' });
+    }
+
+    if (scopes !== undefined && !Array.isArray(scopes)) {
+      return res.status(400).json({ error: 'scopes must be an array', code: 'VALIDATION_ERROR' });
+    }
+
+    const limit = rateLimit !== undefined && rateLimit !== null ? parseInt(rateLimit) : null;
+    if (limit !== null && !(limit > 0)) {
+      return res.status(400).json({ error: 'rateLimit must be a positive integer', code: 'VALIDATION_ERROR' });
+    }
+
+    const apiKey = await apiKeyService.create({
+      name: String(name),
+      scopes,
+      rateLimit: limit,
+      createdBy: actorOf(req)
+    });
+    res.status(201).json(apiKey);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// List API keys
+app.get('/api/keys', requireScope('admin'), async (req, res) => {
+  try {
+    const keys = await apiKeyService.list();
+    res.json({ keys: keys.map(k => k.toJSON()), count: keys.length });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Revoke an API key
+app.delete('/api/keys/:id', requireScope('admin'), async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.id);
+    res.json({ message: 'API key revoked', key: apiKey.toJSON() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Reconcile a bank statement CSV (request body) against stored transactions;
+// ?format=hdfc|icici|generic&bank=&mailbox=&import=true
+app.post(
+  '/api/reconciliation/statement',
+  requireScope('admin'),
+  express.text({ type: ['text/*', 'application/csv', 'application/octet-stream'], limit: '20mb' }),
+  async (req, res) => {
+    try {
+      const report = await reconciliation.reconcile(typeof req.body === 'string' ? req.body : '', {
+        format: req.query.format,
+        bank: req.query.bank,
+        mailbox: req.query.mailbox || null,
+        importMissing: req.query.import === 'true'
+      });
+      res.json(report);
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+app.get('/api/audit', requireScope('admin'), async (req, res) => {
+  try {
+    const { utr, actor, action, startDate, endDate, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const entries = await auditLog.search({ utr, actor, action, startDate, endDate, before, limit });
+    res.json({
+      entries: entries.map(e => e.toJSON()),
+      count: entries.length,
+      nextBefore: entries.length === limit ? entries[entries.length - 1]._id : null
+    });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
@@ -185,9 +1124,12 @@ app.use((error, req, res, next) => {
 process.on('SIGINT', async () => {
   console.log('\n🔄 Shutting down gracefully...');
   
-  if (gmailMonitor) {
-    gmailMonitor.stopMonitoring();
-  }
+  mailboxManager.stopAll();
+  paymentIntentService.stopExpirySweep();
+  webhookDispatcher.stop();
+  eventStream.stop();
+  alertService.stop();
+  transactionRetention.stop();
   
   await database.disconnect();
   process.exit(0);
@@ -196,9 +1138,12 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('\n🔄 Shutting down gracefully...');
   
-  if (gmailMonitor) {
-    gmailMonitor.stopMonitoring();
-  }
+  mailboxManager.stopAll();
+  paymentIntentService.stopExpirySweep();
+  webhookDispatcher.stop();
+  eventStream.stop();
+  alertService.stop();
+  transactionRetention.stop();
   
   await database.disconnect();
   process.exit(0);
@@ -211,17 +1156,81 @@ initializeApp().then(() => {
     console.log(`📧 Gmail Transaction Monitor API ready!`);
     console.log(`🗄️ Connected to MongoDB: ${process.env.MONGODB_URI?.split('@')[1]?.split('/')[0] || 'Unknown'}`);
     console.log('\n📋 Available API Endpoints:');
-    console.log('  GET  /api/health - Health check');
+    console.log('  GET  /api/health - Health check (503 when sync is stale)');
     console.log('  GET  /api/auth-url - Get Gmail auth URL');
     console.log('  GET  /api/auth/callback - OAuth callback');
+    console.log('  GET  /api/auth/status - Gmail grant scopes, account and expiry');
+    console.log('  POST /api/auth/revoke - Disconnect a Gmail account');
     console.log('  POST /api/monitor/start - Start monitoring');
     console.log('  POST /api/monitor/stop - Stop monitoring');
     console.log('  GET  /api/monitor/status - Get status');
-    console.log('  GET  /api/transactions - Get all transactions');
+    console.log('  POST /api/gmail/push - Gmail Pub/Sub push webhook');
+    console.log('  GET  /api/parsers - List bank parsers');
+    console.log('  PUT  /api/parsers/:id - Enable/disable a bank parser');
+    console.log('  POST /api/parse/preview - Dry-run bank parsers on an email');
+    console.log('  GET  /api/quarantine - List unparsed bank emails');
+    console.log('  GET  /api/quarantine/:id - Get quarantined email');
+    console.log('  POST /api/quarantine/:id/promote - Create transaction from quarantined email');
+    console.log('  POST /api/quarantine/:id/dismiss - Dismiss quarantined email');
+    console.log('  GET  /api/mailboxes - List mailboxes');
+    console.log('  POST /api/mailboxes - Add mailbox');
+    console.log('  PUT  /api/mailboxes/:key - Update mailbox settings');
+    console.log('  DELETE /api/mailboxes/:key - Remove mailbox');
+    console.log('  GET  /api/mailboxes/:key/auth-url - Gmail auth URL for a mailbox');
+    console.log('  GET  /api/mailboxes/:key/auth - Gmail grant status for a mailbox');
+    console.log('  POST /api/mailboxes/:key/revoke - Disconnect a mailbox');
+    console.log('  POST /api/mailboxes/:key/start - Start monitoring a mailbox');
+    console.log('  POST /api/mailboxes/:key/stop - Stop monitoring a mailbox');
+    console.log('  GET  /api/mailboxes/:key/status - Mailbox monitoring status');
+    console.log('  GET  /api/stream - Real-time event stream (SSE)');
+    console.log('  GET  /api/transactions - Search transactions (filters, sort, cursor)');
+    console.log('  GET  /api/transactions/export - Export transactions (csv, excel-csv, ndjson)');
+    console.log('  GET  /api/transactions/export/columns - Columns available for export');
     console.log('  GET  /api/transactions/unclaimed - Get unclaimed transactions');
-    console.log('  POST /api/transactions/claim - Claim transaction by UTR');
+    console.log('  POST /api/transactions/claim - Claim transaction by UTR for an order');
+    console.log('  GET  /api/transactions/:utr/claim - Get the order that claimed a UTR');
+    console.log('  GET  /api/transactions/:utr/evidence - View email evidence for a UTR (admin)');
+    console.log('  POST /api/transactions/:utr/unclaim - Unclaim transaction (admin)');
+    console.log('  POST /api/transactions/:utr/void - Void transaction (admin)');
+    console.log('  POST /api/transactions/:utr/refund - Mark transaction refunded (admin)');
+    console.log('  POST /api/transactions/:utr/dispute - Flag transaction disputed (admin)');
+    console.log('  POST /api/transactions/:utr/resolve-dispute - Resolve dispute (admin)');
+    console.log('  POST /api/payment-intents - Create payment intent');
+    console.log('  GET  /api/payment-intents - List payment intents');
+    console.log('  GET  /api/payment-intents/:id - Get payment intent');
+    console.log('  POST /api/payment-intents/:id/utr - Submit UTR for intent');
+    console.log('  POST /api/payment-intents/:id/cancel - Cancel payment intent');
     console.log('  GET  /api/transactions/latest - Get latest transaction');
     console.log('  GET  /api/transactions/stats - Get transaction stats');
-    console.log('  DELETE /api/transactions - Clear all transactions');
+    console.log('  GET  /api/analytics - Time series, claim latency and breakdowns');
+    console.log('  DELETE /api/transactions/:utr - Soft-delete transaction (admin)');
+    console.log('  POST /api/transactions/delete - Soft-delete transactions by UTR (admin)');
+    console.log('  POST /api/transactions/:utr/restore - Restore deleted or archived transaction (admin)');
+    console.log('  GET  /api/transactions/deleted - List soft-deleted transactions (admin)');
+    console.log('  GET  /api/transactions/archived - List archived transactions (admin)');
+    console.log('  GET  /api/retention - Retention settings and last run (admin)');
+    console.log('  POST /api/retention/run - Archive old and deleted transactions now (admin)');
+    console.log('  POST /api/transactions/purge - Request a purge confirmation token (admin)');
+    console.log('  DELETE /api/transactions - Purge with a confirmation token (admin)');
+    console.log('  POST /api/webhooks - Register webhook endpoint');
+    console.log('  GET  /api/webhooks - List webhook endpoints');
+    console.log('  GET  /api/webhooks/deliveries - List webhook deliveries');
+    console.log('  POST /api/webhooks/deliveries/:id/redeliver - Redeliver webhook');
+    console.log('  DELETE /api/webhooks/:id - Remove webhook endpoint');
+    console.log('  POST /api/keys - Issue API key');
+    console.log('  GET  /api/keys - List API keys');
+    console.log('  DELETE /api/keys/:id - Revoke API key');
+    console.log('  POST /api/reconciliation/statement - Reconcile a bank statement CSV (admin)');
+    console.log('  GET  /api/alerts/stale - Unclaimed credits past the alert age');
+    console.log('  GET  /api/alerts/notifications - Sent alerts and digests (admin)');
+    console.log('  GET  /api/alerts/settings - Alert channels and schedule (admin)');
+    console.log('  POST /api/alerts/test - Send a test alert (admin)');
+    console.log('  POST /api/alerts/check-stale - Run the stale check now (admin)');
+    console.log('  POST /api/alerts/digest - Send the daily digest now (admin)');
+    console.log('  GET  /api/fraud/flags - Fraud flags for review (admin)');
+    console.log('  GET  /api/fraud/flags/:id - Get a fraud flag (admin)');
+    console.log('  POST /api/fraud/flags/:id/review - Confirm or dismiss a fraud flag (admin)');
+    console.log('  GET  /api/fraud/rules - Fraud rules and which block claims (admin)');
+    console.log('  GET  /api/audit - Search audit log');
   });
 });
\ No newline at end of file
@@ -0,0 +1,246 @@
+import dotenv from 'dotenv';
+import { Transaction } from '../models/Transaction.js';
+import { Notification, NOTIFICATION_KINDS } from '../models/Notification.js';
+import { notifierRegistry } from './notifiers/index.js';
+import { AppError } from '../utils/errors.js';
+
+dotenv.config();
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const IST_OFFSET_MS = 330 * MINUTE_MS;
+// Credits listed in one stale alert; the rest are summarised as a count
+const STALE_ALERT_LIST_LIMIT = 20;
+
+const round = amount => Math.round(amount * 100) / 100;
+const rupees = amount => `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const istTime = date => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+// Calendar day in IST as YYYY-MM-DD
+const istDay = date => new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+function formatAge(ms) {
+  const minutes = Math.floor(ms / MINUTE_MS);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 48) return `${Math.floor(hours / 24)}d`;
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+}
+
+// "HH:MM" in IST, or null when the digest is turned off
+function parseDigestTime(value) {
+  if (!value || value === 'off') return null;
+  const match = value.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    console.error(`❌ Invalid ALERT_DIGEST_TIME "${value}"; expected HH:MM (IST), digest disabled`);
+    return null;
+  }
+  return { hour: parseInt(match[1]), minute: parseInt(match[2]) };
+}
+
+// Flags credits left unclaimed too long and sends a daily digest through
+// the configured notifier channels
+class AlertService {
+  constructor() {
+    this.staleAfterMs = (parseInt(process.env.STALE_UNCLAIMED_MINUTES) || 60) * MINUTE_MS;
+    this.checkIntervalMs = (parseInt(process.env.STALE_CHECK_INTERVAL_MINUTES) || 5) * MINUTE_MS;
+    this.digestTime = parseDigestTime(process.env.ALERT_DIGEST_TIME ?? '09:00');
+    this.staleInterval = null;
+    this.digestInterval = null;
+    this.checking = false;
+  }
+
+  start() {
+    if (this.staleInterval) return;
+    notifierRegistry.loadFromEnv();
+
+    this.staleInterval = setInterval(() => {
+      this.checkStale().catch(error => {
+        console.error('❌ Error checking stale transactions:', error.message);
+      });
+    }, this.checkIntervalMs);
+
+    if (this.digestTime) {
+      this.digestInterval = setInterval(() => {
+        this.sendDueDigest().catch(error => {
+          console.error('❌ Error sending daily digest:', error.message);
+        });
+      }, MINUTE_MS);
+    }
+
+    console.log(`🔔 Alerts via ${notifierRegistry.getAll().map(n => n.id).join(', ')}; stale after ${formatAge(this.staleAfterMs)}`);
+  }
+
+  stop() {
+    clearInterval(this.staleInterval);
+    clearInterval(this.digestInterval);
+    this.staleInterval = null;
+    this.digestInterval = null;
+  }
+
+  getSettings() {
+    return {
+      staleAfterMinutes: this.staleAfterMs / MINUTE_MS,
+      checkIntervalMinutes: this.checkIntervalMs / MINUTE_MS,
+      digestTime: this.digestTime
+        ? `${String(this.digestTime.hour).padStart(2, '0')}:${String(this.digestTime.minute).padStart(2, '0')} IST`
+        : null,
+      channels: notifierRegistry.describe()
+    };
+  }
+
+  getStaleUnclaimed({ limit = 100 } = {}) {
+    return Transaction.findStaleUnclaimed(new Date(Date.now() - this.staleAfterMs), { limit });
+  }
+
+  // Alerts once per credit; the reservation makes concurrent runs and
+  // several instances skip credits another run already picked up
+  async checkStale() {
+    if (this.checking) return null;
+    this.checking = true;
+
+    try {
+      const now = Date.now();
+      const candidates = await Transaction.findStaleUnclaimed(new Date(now - this.staleAfterMs), { alerted: false, limit: 500 });
+
+      const stale = [];
+      for (const transaction of candidates) {
+        if (await Transaction.markStaleAlerted(transaction._id)) {
+          stale.push(transaction);
+        }
+      }
+      if (!stale.length) return null;
+
+      const total = stale.reduce((sum, t) => sum + t.amount, 0);
+      const lines = stale.slice(0, STALE_ALERT_LIST_LIMIT).map(t =>
+        `• ${rupees(t.amount)}  UTR ${t.utr}  ${t.source}  received ${istTime(t.timestamp)} (${formatAge(now - t.timestamp.getTime())} ago)`
+      );
+      if (stale.length > STALE_ALERT_LIST_LIMIT) {
+        lines.push(`…and ${stale.length - STALE_ALERT_LIST_LIMIT} more`);
+      }
+
+      // Credits stay reserved only if at least one channel delivered the alert
+      let notification;
+      try {
+        notification = await this.send('stale_unclaimed', {
+          subject: `⏰ ${stale.length} payment${stale.length === 1 ? '' : 's'} unclaimed for over ${formatAge(this.staleAfterMs)} (${rupees(total)})`,
+          text: lines.join('\n'),
+          data: { count: stale.length, amount: round(total), transactions: stale.map(t => t.toJSON()) }
+        });
+      } finally {
+        if (!notification?.results.some(result => result.ok)) {
+          await Transaction.releaseStaleAlerted(stale.map(t => t._id));
+        }
+      }
+      return notification;
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Sends yesterday's digest once the configured IST time has passed
+  async sendDueDigest() {
+    if (!this.digestTime) return null;
+
+    const istNow = new Date(Date.now() + IST_OFFSET_MS);
+    const minutesNow = istNow.getUTCHours() * 60 + istNow.getUTCMinutes();
+    if (minutesNow < this.digestTime.hour * 60 + this.digestTime.minute) return null;
+
+    const yesterday = istDay(new Date(Date.now() - DAY_MS));
+    if (await Notification.exists({ kind: 'daily_digest', dedupeKey: yesterday })) return null;
+
+    return this.sendDigest({ date: yesterday });
+  }
+
+  // Received, claimed and outstanding amounts for one IST day (default
+  // yesterday); `force` sends again even if that day's digest went out
+  async sendDigest({ date, force = false } = {}) {
+    const day = date || istDay(new Date(Date.now() - DAY_MS));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(new Date(day).getTime())) {
+      throw new AppError('date must be YYYY-MM-DD', { status: 400, code: 'VALIDATION_ERROR' });
+    }
+
+    const start = new Date(new Date(`${day}T00:00:00Z`).getTime() - IST_OFFSET_MS);
+    const end = new Date(start.getTime() + DAY_MS - 1);
+    const range = { $gte: start, $lte: end };
+
+    const [received, claimed, outstanding, stale] = await Promise.all([
+      Transaction.getSearchTotals({ timestamp: range }),
+      Transaction.getSearchTotals({ claimedAt: range, status: 'claimed' }),
+      Transaction.getSearchTotals({ status: 'received' }),
+      Transaction.getSearchTotals({ status: 'received', timestamp: { $lte: new Date(Date.now() - this.staleAfterMs) } })
+    ]);
+
+    const text = [
+      `Received: ${received.count} credits, ${rupees(received.amount)}`,
+      `Claimed: ${claimed.count} credits, ${rupees(claimed.amount)}`,
+      `Outstanding (all unclaimed): ${outstanding.count} credits, ${rupees(outstanding.amount)}`,
+      `  of which unclaimed for over ${formatAge(this.staleAfterMs)}: ${stale.count}, ${rupees(stale.amount)}`
+    ].join('\n');
+
+    const notification = await this.send('daily_digest', {
+      subject: `📊 Payments digest for ${day}`,
+      text,
+      data: {
+        date: day,
+        received: { count: received.count, amount: round(received.amount) },
+        claimed: { count: claimed.count, amount: round(claimed.amount) },
+        outstanding: { count: outstanding.count, amount: round(outstanding.amount) },
+        stale: { count: stale.count, amount: round(stale.amount) }
+      }
+    }, { dedupeKey: force ? null : day });
+
+    if (!notification) {
+      throw new AppError(`The digest for ${day} was already sent; pass force to send it again`, {
+        status: 409,
+        code: 'DIGEST_ALREADY_SENT'
+      });
+    }
+    return notification;
+  }
+
+  sendTest() {
+    return this.send('test', {
+      subject: '🔔 Test alert',
+      text: `Alert channels are working (${new Date().toISOString()}).`
+    });
+  }
+
+  // Records the notification, then sends it; returns null when a
+  // notification with the same dedupe key already exists
+  async send(kind, { subject, text, data = null }, { dedupeKey = null } = {}) {
+    let notification;
+    try {
+      notification = await Notification.create({ kind, dedupeKey, subject, text, data });
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    notification.results = await notifierRegistry.send({ kind, subject, text, data });
+    notification.sentAt = new Date();
+    await notification.save();
+
+    for (const result of notification.results.filter(r => !r.ok)) {
+      console.error(`❌ ${kind} alert via ${result.channel} failed:`, result.error);
+    }
+    return notification;
+  }
+
+  listNotifications({ kind, before, limit = 50 } = {}) {
+    if (kind && !NOTIFICATION_KINDS.includes(kind)) {
+      throw new AppError(`kind must be one of ${NOTIFICATION_KINDS.join(', ')}`, { status: 400, code: 'VALIDATION_ERROR' });
+    }
+    if (before && !/^[a-f0-9]{24}$/i.test(before)) {
+      throw new AppError('before must be a notification ID', { status: 400, code: 'VALIDATION_ERROR' });
+    }
+    return Notification.findRecent({ kind, before, limit });
+  }
+}
+
+export const alertService = new AlertService();
@@ -0,0 +1,189 @@
+import { Transaction, TRANSACTION_STATUSES, SETTLED_STATUSES } from '../models/Transaction.js';
+import { transactionSearch } from './transactionSearch.js';
+import { AppError } from '../utils/errors.js';
+
+const INTERVALS = ['hour', 'day', 'week', 'month'];
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_RANGE_DAYS = 30;
+const DEFAULT_BINS = [0, 100, 500, 1000, 5000, 10000, 50000, 100000];
+const MAX_TOP = 100;
+// Keeps an hourly series over a long range from producing huge responses
+const MAX_HOURLY_RANGE_DAYS = 31;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function invalid(message) {
+  return new AppError(message, { status: 400, code: 'VALIDATION_ERROR' });
+}
+
+const round = amount => Math.round(amount * 100) / 100;
+
+function emptySplit() {
+  return { count: 0, amount: 0 };
+}
+
+// Bucketed totals, claim latency, amount histogram and largest credits for
+// the transactions matching the search filters
+class Analytics {
+  parseOptions(params = {}) {
+    const interval = params.interval || 'day';
+    if (!INTERVALS.includes(interval)) {
+      throw invalid(`interval must be one of ${INTERVALS.join(', ')}`);
+    }
+
+    const timezone = params.timezone || DEFAULT_TIMEZONE;
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: timezone });
+    } catch (error) {
+      throw invalid(`Unknown timezone "${timezone}"; use an IANA name like Asia/Kolkata`);
+    }
+
+    const top = params.top === undefined ? 10 : parseInt(params.top);
+    if (!Number.isInteger(top) || top < 0) {
+      throw invalid('top must be a non-negative integer');
+    }
+
+    let bins = DEFAULT_BINS;
+    if (params.bins) {
+      bins = String(params.bins).split(',').map(Number);
+      if (bins.length < 2 || bins.some((b, i) => !Number.isFinite(b) || (i && b <= bins[i - 1]))) {
+        throw invalid('bins must be at least two ascending numbers, e.g. 0,500,1000');
+      }
+      // Amounts below the first bound would otherwise land in the top range
+      if (bins[0] > 0) bins.unshift(0);
+    }
+
+    const filters = transactionSearch.parseFilters(params);
+    // Without a range, look at the last 30 days
+    if (!filters.startDate && !filters.endDate) {
+      filters.startDate = new Date(Date.now() - DEFAULT_RANGE_DAYS * DAY_MS);
+    }
+
+    const span = (filters.endDate || new Date()) - (filters.startDate || 0);
+    if (interval === 'hour' && span > MAX_HOURLY_RANGE_DAYS * DAY_MS) {
+      throw invalid(`Hourly buckets are limited to ${MAX_HOURLY_RANGE_DAYS} days; narrow startDate/endDate`);
+    }
+
+    return { interval, timezone, top: Math.min(top, MAX_TOP), bins, filters };
+  }
+
+  // Folds (bucket, bank, status) groups into one entry per bucket
+  buildSeries(groups) {
+    const buckets = new Map();
+
+    for (const { _id, count, total } of groups) {
+      const key = _id.bucket.toISOString();
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          bucket: _id.bucket,
+          count: 0,
+          amount: 0,
+          settledAmount: 0,
+          claimed: emptySplit(),
+          unclaimed: emptySplit(),
+          byStatus: {},
+          byBank: {}
+        });
+      }
+
+      const entry = buckets.get(key);
+      const source = _id.source || 'OTHER';
+      entry.count += count;
+      entry.amount += total;
+      if (SETTLED_STATUSES.includes(_id.status)) entry.settledAmount += total;
+
+      // Unclaimed means still available to claim, i.e. received
+      const split = _id.status === 'claimed' ? entry.claimed : _id.status === 'received' ? entry.unclaimed : null;
+      if (split) {
+        split.count += count;
+        split.amount += total;
+      }
+
+      entry.byStatus[_id.status] ||= emptySplit();
+      entry.byStatus[_id.status].count += count;
+      entry.byStatus[_id.status].amount += total;
+
+      entry.byBank[source] ||= emptySplit();
+      entry.byBank[source].count += count;
+      entry.byBank[source].amount += total;
+    }
+
+    // Sums are floating point; round back to the paisa
+    const roundSplits = splits => Object.values(splits).forEach(split => { split.amount = round(split.amount); });
+    return [...buckets.values()].map(entry => {
+      entry.amount = round(entry.amount);
+      entry.settledAmount = round(entry.settledAmount);
+      roundSplits([entry.claimed, entry.unclaimed]);
+      roundSplits(entry.byStatus);
+      roundSplits(entry.byBank);
+      return entry;
+    });
+  }
+
+  summarize(series) {
+    const summary = {
+      count: 0,
+      amount: 0,
+      settledAmount: 0,
+      claimed: emptySplit(),
+      unclaimed: emptySplit(),
+      byStatus: Object.fromEntries(TRANSACTION_STATUSES.map(status => [status, emptySplit()])),
+      byBank: {}
+    };
+
+    const add = (target, split) => {
+      target.count += split.count;
+      target.amount = round(target.amount + split.amount);
+    };
+
+    for (const entry of series) {
+      summary.count += entry.count;
+      summary.amount = round(summary.amount + entry.amount);
+      summary.settledAmount = round(summary.settledAmount + entry.settledAmount);
+      add(summary.claimed, entry.claimed);
+      add(summary.unclaimed, entry.unclaimed);
+      for (const [status, split] of Object.entries(entry.byStatus)) add(summary.byStatus[status], split);
+      for (const [bank, split] of Object.entries(entry.byBank)) add(summary.byBank[bank] ||= emptySplit(), split);
+    }
+
+    return summary;
+  }
+
+  buildHistogram(groups, bins) {
+    const byLowerBound = new Map(groups.map(group => [group._id, group]));
+    const ranges = bins.map((min, i) => ({ min, max: bins[i + 1] ?? null, key: i < bins.length - 1 ? min : 'above' }));
+
+    return ranges.map(({ min, max, key }) => ({
+      min,
+      max,
+      count: byLowerBound.get(key)?.count || 0,
+      amount: round(byLowerBound.get(key)?.total || 0)
+    }));
+  }
+
+  async getReport(params = {}) {
+    const options = this.parseOptions(params);
+    const query = Transaction.buildSearchQuery(options.filters);
+
+    const [groups, latency, histogram, largest] = await Promise.all([
+      Transaction.getTimeSeries(query, { unit: options.interval, timezone: options.timezone }),
+      Transaction.getClaimLatency(query),
+      Transaction.getAmountHistogram(query, options.bins),
+      options.top ? Transaction.getLargest(query, options.top) : []
+    ]);
+
+    const series = this.buildSeries(groups);
+
+    return {
+      interval: options.interval,
+      timezone: options.timezone,
+      range: { startDate: options.filters.startDate || null, endDate: options.filters.endDate || null },
+      summary: this.summarize(series),
+      series,
+      claimLatency: latency,
+      histogram: this.buildHistogram(histogram, options.bins),
+      largest: largest.map(t => t.toJSON())
+    };
+  }
+}
+
+export const analytics = new Analytics();
@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { ApiKey, API_KEY_SCOPES } from '../models/ApiKey.js';
+import { AppError } from '../utils/errors.js';
+import { auditLog, AUDIT_ACTIONS } from './auditLog.js';
+
+dotenv.config();
+
+const MINUTE_MS = 60 * 1000;
+// Usage counters are written at most this often per key
+const USAGE_FLUSH_MS = 30 * 1000;
+
+export function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyService {
+  constructor() {
+    this.defaultRateLimit = parseInt(process.env.API_KEY_RATE_LIMIT) || 120;
+    this.windows = new Map();
+    this.pendingUsage = new Map();
+  }
+
+  async create({ name, scopes = ['read'], rateLimit = null, createdBy = null }) {
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (!scopes.length || invalid.length) {
+      throw new AppError(`scopes must be a non-empty list of ${API_KEY_SCOPES.join(', ')}`, {
+        status: 400,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const key = `utrk_${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = new ApiKey({
+      name,
+      scopes,
+      rateLimit,
+      createdBy,
+      keyHash: hashKey(key),
+      keyPrefix: key.slice(0, 12)
+    });
+    await apiKey.save();
+
+    await auditLog.record(AUDIT_ACTIONS.AUTH_API_KEY_CREATED, {
+      entityType: 'api_key',
+      entityId: apiKey._id,
+      after: apiKey.toJSON()
+    });
+
+    return { ...apiKey.toJSON(), key };
+  }
+
+  list() {
+    return ApiKey.find().sort({ createdAt: -1 });
+  }
+
+  async revoke(id) {
+    const apiKey = mongoose.isValidObjectId(id) ? await ApiKey.findById(id) : null;
+    if (!apiKey) {
+      throw new AppError('API key not found', { status: 404, code: 'API_KEY_NOT_FOUND' });
+    }
+
+    if (!apiKey.revokedAt) {
+      const before = apiKey.toJSON();
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+
+      await auditLog.record(AUDIT_ACTIONS.AUTH_API_KEY_REVOKED, {
+        entityType: 'api_key',
+        entityId: apiKey._id,
+        before,
+        after: apiKey.toJSON()
+      });
+    }
+    return apiKey;
+  }
+
+  async verify(key) {
+    if (!key) return null;
+    return ApiKey.findActiveByHash(hashKey(key));
+  }
+
+  // Fixed one-minute window per key
+  consumeRateLimit(apiKey) {
+    const limit = apiKey.rateLimit || this.defaultRateLimit;
+    const id = String(apiKey._id);
+    const now = Date.now();
+
+    let window = this.windows.get(id);
+    if (!window || now - window.start >= MINUTE_MS) {
+      window = { start: now, count: 0 };
+      this.windows.set(id, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - window.count),
+      resetAt: window.start + MINUTE_MS
+    };
+  }
+
+  recordUsage(apiKey) {
+    const id = String(apiKey._id);
+    const usage = this.pendingUsage.get(id) || { count: 0, flushedAt: 0 };
+    usage.count++;
+    this.pendingUsage.set(id, usage);
+
+    if (Date.now() - usage.flushedAt < USAGE_FLUSH_MS) {
+      return;
+    }
+
+    const count = usage.count;
+    usage.count = 0;
+    usage.flushedAt = Date.now();
+
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date() }, $inc: { requestCount: count } }
+    ).catch(error => {
+      console.error('❌ Error recording API key usage:', error.message);
+    });
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { AuditLog } from '../models/AuditLog.js';
+import { AppError } from '../utils/errors.js';
+import { getContext } from '../utils/requestContext.js';
+
+export const AUDIT_ACTIONS = {
+  TRANSACTION_CREATED: 'transaction.created',
+  TRANSACTION_CLAIMED: 'transaction.claimed',
+  TRANSACTION_UNCLAIMED: 'transaction.unclaimed',
+  TRANSACTION_VOIDED: 'transaction.voided',
+  TRANSACTION_REFUNDED: 'transaction.refunded',
+  TRANSACTION_DISPUTED: 'transaction.disputed',
+  TRANSACTION_DISPUTE_RESOLVED: 'transaction.dispute_resolved',
+  TRANSACTION_DELETED: 'transaction.deleted',
+  TRANSACTION_RESTORED: 'transaction.restored',
+  TRANSACTIONS_ARCHIVED: 'transactions.archived',
+  TRANSACTIONS_PURGED: 'transactions.purged',
+  STATEMENT_RECONCILED: 'statement.reconciled',
+  FRAUD_FLAG_REVIEWED: 'fraud.flag_reviewed',
+  QUARANTINE_PROMOTED: 'quarantine.promoted',
+  QUARANTINE_DISMISSED: 'quarantine.dismissed',
+  MONITOR_STARTED: 'monitor.started',
+  MONITOR_STOPPED: 'monitor.stopped',
+  AUTH_GMAIL_CONNECTED: 'auth.gmail_connected',
+  AUTH_GMAIL_FAILED: 'auth.gmail_failed',
+  AUTH_GMAIL_REVOKED: 'auth.gmail_revoked',
+  AUTH_API_KEY_CREATED: 'auth.api_key_created',
+  AUTH_API_KEY_REVOKED: 'auth.api_key_revoked'
+};
+
+// Actor for changes made outside any API request (polling, push, sweeps)
+const SYSTEM_ACTOR = 'system';
+
+class AuditLogService {
+  // Never throws: a failed audit write must not undo the change it records
+  async record(action, { entityType = null, entityId = null, utr = null, before = null, after = null, metadata = null } = {}) {
+    const context = getContext();
+
+    try {
+      await AuditLog.create({
+        action,
+        actor: context?.actor || SYSTEM_ACTOR,
+        actorName: context?.actorName || null,
+        ip: context?.ip || null,
+        entityType,
+        entityId: entityId ? String(entityId) : null,
+        utr,
+        before,
+        after,
+        metadata
+      });
+    } catch (error) {
+      console.error(`❌ Error writing audit entry ${action}:`, error.message);
+    }
+  }
+
+  recordTransaction(action, { before = null, after = null, metadata = null }) {
+    const snapshot = after || before;
+    return this.record(action, {
+      entityType: 'transaction',
+      entityId: snapshot?.id,
+      utr: snapshot?.utr || null,
+      before,
+      after,
+      metadata
+    });
+  }
+
+  search(filters) {
+    if (filters.before && !mongoose.isValidObjectId(filters.before)) {
+      throw new AppError('before must be an audit entry ID', { status: 400, code: 'VALIDATION_ERROR' });
+    }
+
+    for (const key of ['startDate', 'endDate']) {
+      if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+        throw new AppError(`${key} must be a valid date`, { status: 400, code: 'VALIDATION_ERROR' });
+      }
+    }
+
+    return AuditLog.search(filters);
+  }
+}
+
+export const auditLog = new AuditLogService();
@@ -0,0 +1,67 @@
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../utils/errors.js';
+import { auditLog, AUDIT_ACTIONS } from './auditLog.js';
+import { fraudDetection } from './fraudDetection.js';
+
+// Atomically claims a UTR for an order, or throws an AppError explaining why
+// it could not be claimed. Every attempt passes through the fraud rules.
+export async function claimUTR(utr, claim) {
+  await fraudDetection.screenClaim(utr, claim);
+
+  try {
+    const result = await attemptClaim(utr, claim);
+    await fraudDetection.recordClaim(utr, claim, result.alreadyClaimed ? 'already_claimed' : 'claimed');
+    return result;
+  } catch (error) {
+    if (error instanceof AppError) {
+      await fraudDetection.recordClaim(utr, claim, error.code);
+    }
+    throw error;
+  }
+}
+
+async function attemptClaim(utr, { orderId, amount, claimedBy = null }) {
+  const transaction = await Transaction.claimTransaction(utr, { orderId, amount, claimedBy });
+  if (transaction) {
+    const after = transaction.toJSON();
+    await auditLog.recordTransaction(AUDIT_ACTIONS.TRANSACTION_CLAIMED, {
+      before: { ...after, status: 'received', claimed: false, orderId: null, claimedBy: null, claimedAt: null },
+      after
+    });
+    return { transaction, alreadyClaimed: false };
+  }
+
+  // Work out why the atomic claim did not match
+  const existing = await Transaction.findByUTR(utr);
+
+  if (!existing) {
+    throw new AppError('Transaction not found', { status: 404, code: 'UTR_NOT_FOUND' });
+  }
+
+  if (existing.status === 'claimed') {
+    // Retrying the same order's claim is not an error
+    if (existing.orderId === orderId && existing.matchesAmount(amount)) {
+      return { transaction: existing, alreadyClaimed: true };
+    }
+    throw new AppError('Transaction already claimed', { status: 409, code: 'ALREADY_CLAIMED' });
+  }
+
+  if (existing.status !== 'received') {
+    throw new AppError(`Transaction is ${existing.status} and cannot be claimed`, {
+      status: 409,
+      code: 'NOT_CLAIMABLE',
+      details: { status: existing.status }
+    });
+  }
+
+  if (!existing.matchesAmount(amount)) {
+    throw new AppError('Amount does not match the credited amount', {
+      status: 422,
+      code: 'AMOUNT_MISMATCH',
+      details: { expectedAmount: amount }
+    });
+  }
+
+  // Claimed or changed by someone else between the two queries
+  throw new AppError('Transaction already claimed', { status: 409, code: 'ALREADY_CLAIMED' });
+}
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const BUFFER_SIZE = 1000;
+
+export const STREAM_EVENTS = [
+  EVENTS.TRANSACTION_CREATED,
+  EVENTS.TRANSACTION_CLAIMED,
+  EVENTS.TRANSACTION_STATUS_CHANGED,
+  EVENTS.MONITOR_STARTED,
+  EVENTS.MONITOR_STOPPED,
+  EVENTS.MONITOR_AUTH_FAILED
+];
+
+// Server-Sent Events fan-out of domain events. Recent events are kept in a
+// ring buffer so reconnecting clients can resume from Last-Event-ID; IDs are
+// prefixed with a per-process boot ID so IDs from before a restart are
+// recognised as unresumable.
+class EventStream {
+  constructor() {
+    this.bootId = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.buffer = [];
+    this.clients = new Set();
+    this.listeners = new Map();
+    this.heartbeatInterval = null;
+  }
+
+  start() {
+    if (this.heartbeatInterval) return;
+
+    for (const event of STREAM_EVENTS) {
+      const listener = data => this.publish(event, data);
+      this.listeners.set(event, listener);
+      eventBus.on(event, listener);
+    }
+
+    this.heartbeatInterval = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  stop() {
+    for (const [event, listener] of this.listeners) {
+      eventBus.off(event, listener);
+    }
+    this.listeners.clear();
+
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  publish(event, data) {
+    const entry = {
+      id: `${this.bootId}-${++this.sequence}`,
+      sequence: this.sequence,
+      event,
+      data: { ...data, emittedAt: new Date().toISOString() }
+    };
+
+    this.buffer.push(entry);
+    if (this.buffer.length > BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+
+    for (const client of this.clients) {
+      if (this.matches(client.filters, entry)) {
+        this.send(client.res, entry);
+      }
+    }
+  }
+
+  parseFilters(query) {
+    const number = value => {
+      const parsed = parseFloat(value);
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    return {
+      events: query.events ? query.events.split(',').map(e => e.trim()).filter(Boolean) : null,
+      minAmount: number(query.minAmount),
+      maxAmount: number(query.maxAmount),
+      claimed: query.claimed === 'true' ? true : query.claimed === 'false' ? false : null
+    };
+  }
+
+  // Amount and claimed filters only apply to transaction events
+  matches(filters, entry) {
+    if (filters.events && !filters.events.includes(entry.event)) {
+      return false;
+    }
+
+    if (!entry.event.startsWith('transaction.')) {
+      return true;
+    }
+
+    const { amount, claimed } = entry.data;
+    if (filters.minAmount !== null && amount < filters.minAmount) return false;
+    if (filters.maxAmount !== null && amount > filters.maxAmount) return false;
+    if (filters.claimed !== null && claimed !== filters.claimed) return false;
+    return true;
+  }
+
+  send(res, entry) {
+    res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+  }
+
+  // Returns buffered events after lastEventId, or null if it can't be resumed
+  eventsSince(lastEventId) {
+    const [bootId, sequence] = String(lastEventId).split('-');
+    const lastSequence = parseInt(sequence);
+
+    if (bootId !== this.bootId || !Number.isFinite(lastSequence)) {
+      return null;
+    }
+
+    const oldest = this.buffer[0];
+    if (oldest && oldest.sequence > lastSequence + 1) {
+      return null;
+    }
+
+    return this.buffer.filter(entry => entry.sequence > lastSequence);
+  }
+
+  connect(req, res) {
+    const filters = this.parseFilters(req.query);
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    if (lastEventId) {
+      const missed = this.eventsSince(lastEventId);
+
+      if (missed === null) {
+        // Too old or from before a restart; the client should refetch state
+        res.write(`event: stream.reset\ndata: ${JSON.stringify({ reason: 'Cannot resume from last event ID' })}\n\n`);
+      } else {
+        for (const entry of missed) {
+          if (this.matches(filters, entry)) {
+            this.send(res, entry);
+          }
+        }
+      }
+    }
+
+    const client = { res, filters };
+    this.clients.add(client);
+
+    req.on('close', () => {
+      this.clients.delete(client);
+    });
+  }
+
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      bufferedEvents: this.buffer.length
+    };
+  }
+}
+
+export const eventStream = new EventStream();
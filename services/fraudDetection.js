@@ -0,0 +1,278 @@
+import dotenv from 'dotenv';
+import { Transaction } from '../models/Transaction.js';
+import { ClaimAttempt } from '../models/ClaimAttempt.js';
+import { FraudFlag, FRAUD_RULES, FRAUD_FLAG_STATUSES } from '../models/FraudFlag.js';
+import { AppError } from '../utils/errors.js';
+import { EVENTS, emitEvent } from '../utils/eventBus.js';
+import { getContext } from '../utils/requestContext.js';
+import { auditLog, AUDIT_ACTIONS } from './auditLog.js';
+
+dotenv.config();
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Credits the 30-day average needs before relative large-amount checks apply
+const AVERAGE_MIN_SAMPLE = 20;
+const AVERAGE_TTL_MS = 60 * MINUTE_MS;
+
+const splitList = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+const positive = (value, fallback) => value === 'off' ? null : (parseFloat(value) > 0 ? parseFloat(value) : fallback);
+
+function invalid(message) {
+  return new AppError(message, { status: 400, code: 'VALIDATION_ERROR' });
+}
+
+// Rules that flag suspicious credits and claims for review. Claims are
+// screened before they run; rules listed in FRAUD_BLOCK_RULES also refuse
+// claims on a flagged UTR or from a flagged client until the flag is
+// dismissed.
+class FraudDetection {
+  constructor() {
+    this.windowMs = (parseInt(process.env.FRAUD_WINDOW_MINUTES) || 60) * MINUTE_MS;
+    this.unknownUtrLimit = parseInt(process.env.FRAUD_UNKNOWN_UTR_LIMIT) || 10;
+    this.unknownUtrWindowMs = (parseInt(process.env.FRAUD_UNKNOWN_UTR_WINDOW_MINUTES) || 10) * MINUTE_MS;
+    this.largeAmount = positive(process.env.FRAUD_LARGE_AMOUNT, 100000);
+    this.largeAmountFactor = positive(process.env.FRAUD_LARGE_AMOUNT_FACTOR, 10);
+    this.blockRules = splitList(process.env.FRAUD_BLOCK_RULES).filter(rule => {
+      if (FRAUD_RULES.includes(rule)) return true;
+      console.error(`❌ Unknown fraud rule "${rule}" in FRAUD_BLOCK_RULES; expected one of ${FRAUD_RULES.join(', ')}`);
+      return false;
+    });
+    this.average = null;
+  }
+
+  getRules() {
+    const rules = {
+      utr_multiple_clients: `Same UTR claimed by another client or for another order within ${this.windowMs / MINUTE_MS} minutes`,
+      unknown_utr_burst: `${this.unknownUtrLimit} or more claims for unknown UTRs from one client within ${this.unknownUtrWindowMs / MINUTE_MS} minutes`,
+      duplicate_email: 'A credit alert for an existing UTR arrived under another Gmail message ID',
+      large_amount: [
+        this.largeAmount && `credits of ₹${this.largeAmount} or more`,
+        this.largeAmountFactor && `at least ${this.largeAmountFactor}x the 30-day average credit`
+      ].filter(Boolean).join(', or ') || 'off',
+      amount_mismatch: 'Claim amount differs from the credited amount'
+    };
+
+    return FRAUD_RULES.map(rule => ({
+      rule,
+      description: rules[rule],
+      blocksClaims: this.blockRules.includes(rule)
+    }));
+  }
+
+  // Client making the current request: the authenticated API key. The
+  // caller-supplied claimedBy is only recorded as detail, since a key could
+  // otherwise dodge per-client rules by varying it. Null for background work.
+  clientOf() {
+    const actor = getContext()?.actor;
+    return !actor || actor === 'system' ? null : actor;
+  }
+
+  // Runs before a claim; throws CLAIM_BLOCKED when a blocking flag covers
+  // the UTR or client, counting the rules this attempt itself triggers
+  async screenClaim(utr, { orderId, amount, claimedBy = null }) {
+    const client = this.clientOf();
+
+    if (client) {
+      await this.safely('screening claim', async () => {
+        const now = Date.now();
+
+        const others = await ClaimAttempt.findOthersForUTR(utr, { client, orderId, since: new Date(now - this.windowMs) });
+        if (others.length) {
+          const clients = [...new Set([client, ...others.map(a => a.client)])];
+          const orders = [...new Set([orderId, ...others.map(a => a.orderId)].filter(Boolean))];
+          const customers = [...new Set([claimedBy, ...others.map(a => a.claimedBy)].filter(Boolean))];
+          await this.flag('utr_multiple_clients', {
+            scope: 'utr',
+            key: utr,
+            severity: 'high',
+            reason: `UTR ${utr} submitted by ${clients.length} clients for ${orders.length} orders`,
+            details: { clients, orders, customers },
+            utr,
+            client
+          });
+        }
+
+        const unknown = await ClaimAttempt.countOutcome(client, 'UTR_NOT_FOUND', new Date(now - this.unknownUtrWindowMs));
+        if (unknown >= this.unknownUtrLimit) {
+          await this.flag('unknown_utr_burst', {
+            scope: 'client',
+            key: client,
+            severity: 'medium',
+            reason: `${unknown} claims for unknown UTRs in ${this.unknownUtrWindowMs / MINUTE_MS} minutes`,
+            details: { count: unknown, lastUtr: utr, lastClaimedBy: claimedBy },
+            client
+          });
+        }
+      });
+    }
+
+    if (!this.blockRules.length) return;
+
+    const blocking = await FraudFlag.findBlocking({ utr, client, rules: this.blockRules });
+    if (blocking) {
+      await this.recordClaim(utr, { orderId, amount, claimedBy }, 'CLAIM_BLOCKED');
+      throw new AppError('This claim is on hold for review', {
+        status: 403,
+        code: 'CLAIM_BLOCKED',
+        details: { flagId: blocking._id }
+      });
+    }
+  }
+
+  // Runs after a claim with its outcome
+  async recordClaim(utr, { orderId, amount, claimedBy = null }, outcome) {
+    const client = this.clientOf();
+    if (!client) return;
+
+    await this.safely('recording claim', async () => {
+      await ClaimAttempt.create({ utr, client, claimedBy, orderId, amount, outcome });
+
+      if (outcome === 'AMOUNT_MISMATCH') {
+        const transaction = await Transaction.findByUTR(utr);
+        await this.flag('amount_mismatch', {
+          scope: 'utr',
+          key: utr,
+          severity: 'medium',
+          reason: `Claimed ₹${amount} for UTR ${utr}, credited ₹${transaction?.amount ?? 'unknown'}`,
+          details: { claimedAmount: amount, creditedAmount: transaction?.amount ?? null, orderId, claimedBy },
+          utr,
+          client
+        });
+      }
+    });
+  }
+
+  // Runs when a credit is stored, before payment intents can claim it
+  async screenCredit(transaction) {
+    await this.safely('screening credit', async () => {
+      const limit = await this.largeAmountLimit();
+      if (limit === null || transaction.amount < limit) return;
+
+      await this.flag('large_amount', {
+        scope: 'utr',
+        key: transaction.utr,
+        severity: 'high',
+        reason: `Credit of ₹${transaction.amount} is at or above the ₹${limit} threshold`,
+        details: { amount: transaction.amount, threshold: limit, source: transaction.source },
+        utr: transaction.utr
+      });
+    });
+  }
+
+  // A second alert for a UTR we already have, from another Gmail message
+  async screenDuplicateEmail(existing, transactionData, email) {
+    if (!email?.messageId || !existing.emailId || existing.emailId === email.messageId) return;
+
+    await this.safely('screening duplicate email', async () => {
+      const amountDiffers = !existing.matchesAmount(transactionData.amount);
+      await this.flag('duplicate_email', {
+        scope: 'utr',
+        key: existing.utr,
+        severity: amountDiffers ? 'high' : 'low',
+        reason: amountDiffers
+          ? `Alert for UTR ${existing.utr} arrived again with ₹${transactionData.amount} instead of ₹${existing.amount}`
+          : `Alert for UTR ${existing.utr} arrived again under another message`,
+        details: {
+          messageIds: [existing.emailId, email.messageId],
+          mailboxes: [...new Set([existing.mailbox, email.mailbox])],
+          amounts: [existing.amount, transactionData.amount],
+          subject: email.subject || null
+        },
+        utr: existing.utr
+      });
+    });
+  }
+
+  // The lower of the fixed threshold and the multiple of the 30-day average
+  async largeAmountLimit() {
+    let relative = null;
+
+    if (this.largeAmountFactor) {
+      if (!this.average || this.average.at < Date.now() - AVERAGE_TTL_MS) {
+        const totals = await Transaction.getSearchTotals({ timestamp: { $gte: new Date(Date.now() - 30 * DAY_MS) } });
+        this.average = {
+          value: totals.count >= AVERAGE_MIN_SAMPLE ? totals.amount / totals.count : null,
+          at: Date.now()
+        };
+      }
+      if (this.average.value) {
+        relative = Math.round(this.average.value * this.largeAmountFactor * 100) / 100;
+      }
+    }
+
+    const limits = [this.largeAmount, relative].filter(limit => limit !== null);
+    return limits.length ? Math.min(...limits) : null;
+  }
+
+  async flag(rule, data) {
+    const { flag, created } = await FraudFlag.raise({ rule, ...data });
+    if (created) {
+      console.log(`🚩 Fraud flag ${rule}: ${data.reason}`);
+      emitEvent(EVENTS.FRAUD_FLAGGED, flag.toJSON());
+    }
+    return flag;
+  }
+
+  // Detection problems are logged; they never fail the claim or credit
+  async safely(what, fn) {
+    try {
+      await fn();
+    } catch (error) {
+      console.error(`❌ Error ${what} for fraud rules:`, error.message);
+    }
+  }
+
+  listFlags({ status, rule, utr, client, before, limit = 50 } = {}) {
+    if (status && !FRAUD_FLAG_STATUSES.includes(status)) {
+      throw invalid(`status must be one of ${FRAUD_FLAG_STATUSES.join(', ')}`);
+    }
+    if (rule && !FRAUD_RULES.includes(rule)) {
+      throw invalid(`rule must be one of ${FRAUD_RULES.join(', ')}`);
+    }
+    if (before && !/^[a-f0-9]{24}$/i.test(before)) {
+      throw invalid('before must be a flag ID');
+    }
+    return FraudFlag.findRecent({ status, rule, utr: utr ? String(utr).trim().toUpperCase() : null, client, before, limit });
+  }
+
+  async getFlag(id) {
+    const flag = /^[a-f0-9]{24}$/i.test(id) ? await FraudFlag.findById(id) : null;
+    if (!flag) {
+      throw new AppError('Fraud flag not found', { status: 404, code: 'FLAG_NOT_FOUND' });
+    }
+    return flag;
+  }
+
+  // Confirming keeps the flag active (and blocking); dismissing releases it
+  async review(id, status, note) {
+    if (!['confirmed', 'dismissed'].includes(status)) {
+      throw invalid('status must be confirmed or dismissed');
+    }
+
+    const flag = await this.getFlag(id);
+    if (flag.status === 'dismissed') {
+      throw new AppError('Flag is already dismissed', { status: 409, code: 'FLAG_CLOSED' });
+    }
+
+    const before = flag.toJSON();
+    flag.status = status;
+    flag.active = status === 'confirmed';
+    flag.reviewedBy = getContext()?.actor || 'system';
+    flag.reviewedAt = new Date();
+    flag.reviewNote = note;
+    await flag.save();
+
+    await auditLog.record(AUDIT_ACTIONS.FRAUD_FLAG_REVIEWED, {
+      entityType: 'fraud_flag',
+      entityId: flag._id,
+      utr: flag.utr,
+      before,
+      after: flag.toJSON(),
+      metadata: { note }
+    });
+    return flag;
+  }
+}
+
+export const fraudDetection = new FraudDetection();
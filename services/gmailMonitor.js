@@ -3,20 +3,77 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import * as cheerio from 'cheerio';
+import mongoose from 'mongoose';
 import { Transaction } from '../models/Transaction.js';
+import { SyncState } from '../models/SyncState.js';
+import { Mailbox, DEFAULT_MAILBOX } from '../models/Mailbox.js';
+import { Secret } from '../models/Secret.js';
+import { ProcessedMessage } from '../models/ProcessedMessage.js';
+import { ArchivedTransaction } from '../models/ArchivedTransaction.js';
+import { QuarantinedEmail, QUARANTINE_STATUSES } from '../models/QuarantinedEmail.js';
+import { parserRegistry } from './parsers/index.js';
+import { GmailWatch } from './gmailWatch.js';
+import { SyncScheduler, isQuotaError } from './syncScheduler.js';
+import { extractBody, getHeader } from './mime.js';
+import { AppError } from '../utils/errors.js';
+import { claimUTR } from './claims.js';
+import { paymentIntentService } from './paymentIntents.js';
+import { fraudDetection } from './fraudDetection.js';
+import { EVENTS, emitEvent } from '../utils/eventBus.js';
+import { auditLog, AUDIT_ACTIONS } from './auditLog.js';
+import { getContext } from '../utils/requestContext.js';
+import { createOAuthState } from './oauthState.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Re-scan a little before the last sync so clock skew can't hide a message
+const BACKFILL_OVERLAP_MS = 60 * 60 * 1000;
+const WATCHDOG_INTERVAL_MS = 60 * 1000;
+// Characters of the email body kept as evidence on each transaction
+const RAW_CONTENT_LIMIT = 2000;
+// Quarantined emails keep (almost) the whole body for manual review
+const QUARANTINE_BODY_LIMIT = 20000;
+// Sync cycles a message may fail in before it is recorded as failed instead
+// of holding back the history cursor
+const MESSAGE_MAX_ATTEMPTS = 5;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const OAUTH_CLIENT_SECRET = 'gmail_oauth_client';
+
+// Monitors a single mailbox; see mailboxManager for running several
 export class GmailMonitor {
-  constructor() {
+  constructor({ key = DEFAULT_MAILBOX, name = null, email = null, parsers = [], pollInterval = 30, mode = 'poll' } = {}) {
+    this.key = key;
+    this.name = name;
+    this.email = email;
+    this.parserIds = parsers;
+
     this.oauth2Client = null;
     this.gmail = null;
     this.isMonitoring = false;
-    this.monitoringInterval = null;
-    this.seenMessageIds = new Set();
-    this.pollInterval = 30000; // 30 seconds
+    this.pollInterval = pollInterval * 1000;
+    this.syncKey = key;
+    this.backfillDays = parseInt(process.env.SYNC_BACKFILL_DAYS) || 7;
+
+    // Push mode (Gmail -> Pub/Sub -> webhook)
+    this.mode = mode;
+    this.watch = new GmailWatch();
+    this.pushStaleAfter = parseInt(process.env.PUSH_STALE_AFTER_SECONDS) * 1000 || 15 * 60 * 1000;
+    this.watchdogInterval = null;
+    this.lastPushAt = null;
+    this.pushStartedAt = null;
+    this.fallbackPolling = false;
+
+    // Runs sync cycles one at a time, backing off after failures
+    this.scheduler = new SyncScheduler(() => this.checkForNewTransactions(), { label: key });
+    // Sync is reported stale after this long without a successful cycle
+    this.staleAfter = parseInt(process.env.SYNC_STALE_AFTER_SECONDS) * 1000 || null;
+    // Message ID -> failed attempts, for messages that keep failing
+    this.messageFailures = new Map();
+    this.authFailed = false;
+    // Set when Google rejects the refresh token (invalid_grant)
+    this.authAlert = null;
     
     this.credentialsPath = path.join(__dirname, '..', 'credentials.json');
     this.tokenPath = path.join(__dirname, '..', 'token.json');
@@ -24,82 +81,303 @@ export class GmailMonitor {
     this.scopes = ['https://www.googleapis.com/auth/gmail.readonly'];
   }
 
+  // Applies changed mailbox settings; they take effect on the next start
+  configure({ name, parsers, pollInterval, mode }) {
+    if (name !== undefined) this.name = name;
+    if (parsers !== undefined) this.parserIds = parsers;
+    if (pollInterval !== undefined) this.pollInterval = pollInterval * 1000;
+    if (mode !== undefined && !this.isMonitoring) this.mode = mode;
+  }
+
+  getMailboxParsers() {
+    const enabled = parserRegistry.getEnabled();
+    return this.parserIds.length
+      ? enabled.filter(parser => this.parserIds.includes(parser.id))
+      : enabled;
+  }
+
+  // OAuth client from GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET, else the
+  // encrypted copy in MongoDB, imported from credentials.json on first use
   async loadCredentials() {
+    if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+      return {
+        client_id: process.env.GOOGLE_CLIENT_ID,
+        client_secret: process.env.GOOGLE_CLIENT_SECRET
+      };
+    }
+
+    const stored = await Secret.getValue(OAUTH_CLIENT_SECRET);
+    if (stored) {
+      return stored;
+    }
+
+    let credentials;
     try {
-      const credentialsData = await fs.readFile(this.credentialsPath, 'utf8');
-      return JSON.parse(credentialsData);
+      credentials = JSON.parse(await fs.readFile(this.credentialsPath, 'utf8'));
     } catch (error) {
-      throw new Error('Could not load credentials.json file');
+      throw new Error('Gmail OAuth client is not configured; set GOOGLE_CLIENT_ID/GOOGLE_CLIENT_SECRET or import credentials.json');
     }
+
+    const { client_id, client_secret, redirect_uris } = credentials.web || credentials.installed || {};
+    const client = { client_id, client_secret, redirect_uris: redirect_uris || [] };
+    await Secret.setValue(OAUTH_CLIENT_SECRET, client);
+    console.log('🔐 Imported credentials.json into encrypted storage; the file can now be deleted');
+    return client;
   }
 
-  async getAuthUrl() {
-    const credentials = await this.loadCredentials();
-    const { client_secret, client_id, redirect_uris } = credentials.web;
-    
-    this.oauth2Client = new google.auth.OAuth2(
-      client_id,
-      client_secret,
-      'http://localhost:3000/api/auth/callback'
+  // Callback URLs Google may redirect to: OAUTH_REDIRECT_URIS, else those
+  // registered with the OAuth client, else the local development server
+  getRedirectUris(credentials) {
+    const configured = (process.env.OAUTH_REDIRECT_URIS || '')
+      .split(',')
+      .map(uri => uri.trim())
+      .filter(Boolean);
+
+    if (configured.length) return configured;
+    if (credentials.redirect_uris?.length) return credentials.redirect_uris;
+    return [`http://localhost:${process.env.PORT || 3000}/api/auth/callback`];
+  }
+
+  createOAuthClient(credentials, redirectUri = this.getRedirectUris(credentials)[0]) {
+    const client = new google.auth.OAuth2(
+      credentials.client_id,
+      credentials.client_secret,
+      redirectUri
     );
 
-    const authUrl = this.oauth2Client.generateAuthUrl({
+    // Fired on every refresh; Google only sends refresh_token on first
+    // consent, so merge with what the client already holds
+    client.on('tokens', tokens => {
+      Mailbox.saveTokens(this.key, { ...client.credentials, ...tokens }).catch(error => {
+        console.error(`❌ Could not save refreshed tokens for ${this.key}:`, error.message);
+      });
+    });
+
+    return client;
+  }
+
+  // redirectUri is the callback URL the request came in on; it is used when
+  // allowed, otherwise the first allowed URI
+  async getAuthUrl({ redirectUri } = {}) {
+    const credentials = await this.loadCredentials();
+    const allowed = this.getRedirectUris(credentials);
+    const callbackUri = allowed.includes(redirectUri) ? redirectUri : allowed[0];
+
+    const client = this.createOAuthClient(credentials, callbackUri);
+
+    return client.generateAuthUrl({
       access_type: 'offline',
+      // Always return a refresh token, also when re-authenticating
+      prompt: 'consent',
       scope: this.scopes,
+      // Signed and short-lived; tells the callback which mailbox is being
+      // connected and which redirect URI to exchange the code with
+      state: createOAuthState({ mailbox: this.key, redirectUri: callbackUri })
+    });
+  }
+
+  // redirectUri must match the one the auth URL was generated with
+  async handleAuthCallback(code, { redirectUri } = {}) {
+    try {
+      const credentials = await this.loadCredentials();
+      const client = this.createOAuthClient(credentials, redirectUri);
+      const { tokens } = await client.getToken(code);
+      client.setCredentials(tokens);
+
+      // Initialize Gmail API
+      this.oauth2Client = client;
+      this.gmail = google.gmail({ version: 'v1', auth: client });
+
+      const profile = await this.gmail.users.getProfile({ userId: 'me' });
+      this.email = profile.data.emailAddress.toLowerCase();
+
+      await Mailbox.saveTokens(this.key, tokens, { email: this.email });
+    } catch (error) {
+      await auditLog.record(AUDIT_ACTIONS.AUTH_GMAIL_FAILED, {
+        metadata: { mailbox: this.key, reason: error.message }
+      });
+      throw error;
+    }
+
+    await auditLog.record(AUDIT_ACTIONS.AUTH_GMAIL_CONNECTED, {
+      metadata: { mailbox: this.key, email: this.email, scopes: this.scopes }
     });
 
-    return authUrl;
+    await this.clearAuthAlert();
   }
 
-  async handleAuthCallback(code) {
-    if (!this.oauth2Client) {
-      throw new Error('OAuth client not initialized');
+  // Disconnects the mailbox: revokes the grant at Google (best effort),
+  // deletes the stored tokens and stops monitoring
+  async revokeAuth() {
+    const mailbox = await Mailbox.findByKey(this.key);
+    const tokens = mailbox?.readTokens();
+
+    if (!tokens) {
+      throw new AppError(`Mailbox "${this.key}" is not connected`, { status: 409, code: 'NOT_CONNECTED' });
     }
 
-    const { tokens } = await this.oauth2Client.getAccessToken(code);
-    this.oauth2Client.setCredentials(tokens);
+    if (this.isMonitoring) {
+      this.stopMonitoring();
+    }
 
-    // Save tokens to file
-    await fs.writeFile(this.tokenPath, JSON.stringify(tokens, null, 2));
-    
-    // Initialize Gmail API
-    this.gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
+    let revoked = false;
+    let revokeError = null;
+    try {
+      const client = this.oauth2Client || this.createOAuthClient(await this.loadCredentials());
+      // Revoking the refresh token also invalidates its access tokens
+      await client.revokeToken(tokens.refresh_token || tokens.access_token);
+      revoked = true;
+    } catch (error) {
+      // Already revoked or expired grants still get disconnected locally
+      revokeError = error.message;
+      console.warn(`⚠️  Could not revoke Google grant for ${this.key}:`, error.message);
+    }
+
+    await Mailbox.updateOne(
+      { key: this.key },
+      { $set: { tokens: null, active: false, lastStoppedAt: new Date(), authError: { reason: null, at: null } } }
+    );
+
+    this.oauth2Client = null;
+    this.gmail = null;
+    this.authAlert = null;
+    this.authFailed = false;
+
+    await auditLog.record(AUDIT_ACTIONS.AUTH_GMAIL_REVOKED, {
+      metadata: { mailbox: this.key, email: this.email, revoked, reason: revokeError }
+    });
+
+    console.log(`🔌 Mailbox ${this.key} disconnected`);
+    return { mailbox: this.key, email: this.email, revoked, revokeError };
+  }
+
+  // What the stored grant allows; verify=true also asks Google's tokeninfo
+  // endpoint, which refreshes the access token if needed
+  async getAuthStatus({ verify = false } = {}) {
+    const mailbox = await Mailbox.findByKey(this.key);
+    const tokens = mailbox?.readTokens();
+
+    const status = {
+      mailbox: this.key,
+      email: mailbox?.email || this.email,
+      connected: !!tokens,
+      hasRefreshToken: !!tokens?.refresh_token,
+      scopes: tokens?.scope ? tokens.scope.split(' ') : [],
+      requiredScopes: this.scopes,
+      accessTokenExpiresAt: tokens?.expiry_date ? new Date(tokens.expiry_date) : null,
+      authAlert: this.authAlert
+    };
+
+    if (verify && tokens) {
+      try {
+        if (!this.oauth2Client && !(await this.loadSavedTokens())) {
+          throw new Error('Stored tokens could not be loaded');
+        }
+        const { token } = await this.oauth2Client.getAccessToken();
+        const info = await this.oauth2Client.getTokenInfo(token);
+        status.scopes = info.scopes;
+        status.accessTokenExpiresAt = new Date(info.expiry_date);
+        status.verified = true;
+      } catch (error) {
+        status.verified = false;
+        status.verifyError = error.message;
+      }
+    }
+
+    status.missingScopes = status.connected
+      ? this.scopes.filter(scope => !status.scopes.includes(scope))
+      : [];
+
+    return status;
+  }
+
+  // Re-authenticating a mailbox paused by invalid_grant resumes it in place
+  async clearAuthAlert() {
+    const wasPaused = !!this.authAlert;
+    this.authAlert = null;
+    this.authFailed = false;
+    await Mailbox.setAuthError(this.key, null);
+
+    const mailbox = await Mailbox.findByKey(this.key);
+    if (wasPaused && mailbox?.active && !this.isMonitoring) {
+      console.log(`🔄 Mailbox ${this.key} re-authenticated, resuming monitoring`);
+      await this.startMonitoring({ mode: this.mode });
+    }
   }
 
   async loadSavedTokens() {
     try {
-      const tokenData = await fs.readFile(this.tokenPath, 'utf8');
-      const tokens = JSON.parse(tokenData);
+      const mailbox = await Mailbox.findByKey(this.key);
+      let tokens = mailbox?.readTokens();
+
+      // Single-account installs kept their tokens in token.json
+      if (!tokens && this.key === DEFAULT_MAILBOX) {
+        tokens = await this.importLegacyTokens();
+      } else if (mailbox?.hasPlaintextTokens()) {
+        await Mailbox.saveTokens(this.key, tokens);
+      }
+      if (!tokens) {
+        return false;
+      }
       
       const credentials = await this.loadCredentials();
-      const { client_secret, client_id } = credentials.web;
-      
-      this.oauth2Client = new google.auth.OAuth2(
-        client_id,
-        client_secret,
-        'http://localhost:3000/api/auth/callback'
-      );
-      
+      this.oauth2Client = this.createOAuthClient(credentials);
       this.oauth2Client.setCredentials(tokens);
       this.gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
       
       return true;
     } catch (error) {
+      console.error(`❌ Could not load tokens for mailbox ${this.key}:`, error.message);
       return false;
     }
   }
 
-  extractTransactionInfo(text) {
+  // Copies token.json into encrypted storage; the file is left for the
+  // operator to delete
+  async importLegacyTokens() {
+    let data;
     try {
-      const regex = /Rs\.(\d+\.\d{2}) is successfully credited.*?reference number is (\d+)/s;
-      const match = text.match(regex);
-      
-      if (match) {
+      data = JSON.parse(await fs.readFile(this.tokenPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    // token.json written by mail.py uses the Python client's field names
+    const tokens = data.token
+      ? {
+        access_token: data.token,
+        refresh_token: data.refresh_token,
+        scope: Array.isArray(data.scopes) ? data.scopes.join(' ') : data.scopes,
+        token_type: 'Bearer',
+        expiry_date: data.expiry ? new Date(data.expiry).getTime() : null
+      }
+      : data;
+
+    await Mailbox.saveTokens(this.key, tokens);
+    console.log('🔐 Imported token.json into encrypted storage for the default mailbox; the file can now be deleted');
+    return tokens;
+  }
+
+  // Push notifications are routed to mailboxes by address
+  async resolveEmail() {
+    if (this.email || !this.gmail) {
+      return this.email;
+    }
+
+    const profile = await this.gmail.users.getProfile({ userId: 'me' });
+    this.email = profile.data.emailAddress.toLowerCase();
+    await Mailbox.updateOne({ key: this.key }, { $set: { email: this.email } });
+    return this.email;
+  }
+
+  extractTransactionInfo(text, options = {}) {
+    try {
+      const result = parserRegistry.parse(text, options);
+
+      if (result) {
         return {
-          amount: parseFloat(match[1]),
-          utr: match[2],
-          timestamp: new Date(),
-          claimed: false
+          ...result,
+          timestamp: new Date()
         };
       }
     } catch (error) {
@@ -108,182 +386,693 @@ export class GmailMonitor {
     return null;
   }
 
-  getEmailBody(payload) {
-    let body = '';
-    
-    if (payload.parts) {
-      for (const part of payload.parts) {
-        const mimeType = part.mimeType;
-        const data = part.body?.data;
-        
-        if (!data) continue;
-        
-        const decodedBytes = Buffer.from(data, 'base64url');
-        const content = decodedBytes.toString('utf8');
-        
-        if (mimeType === 'text/plain') {
-          return content.trim();
-        } else if (mimeType === 'text/html') {
-          const $ = cheerio.load(content);
-          return $.text().trim();
+  getHeader(payload, name) {
+    return getHeader(payload, name);
+  }
+
+  // Attachment-backed parts are fetched from Gmail, or from the given
+  // attachmentId -> base64url map when previewing a message offline
+  getEmailBody(payload, messageId = null, { attachments = null, attachmentTypes } = {}) {
+    let fetchAttachment = null;
+
+    if (attachments) {
+      fetchAttachment = async attachmentId => attachments[attachmentId] || null;
+    } else if (this.gmail && messageId) {
+      fetchAttachment = async attachmentId => {
+        const response = await this.gmail.users.messages.attachments.get({
+          userId: 'me',
+          messageId,
+          id: attachmentId
+        });
+        return response.data.data;
+      };
+    }
+
+    return extractBody(payload, { fetchAttachment, attachmentTypes });
+  }
+
+  async checkForNewTransactions() {
+    try {
+      const state = await SyncState.getState(this.syncKey);
+      let newFound;
+
+      if (state.historyId) {
+        try {
+          newFound = await this.syncFromHistory(state);
+        } catch (error) {
+          // Gmail only keeps history for about a week
+          if (error.code !== 404 && error.response?.status !== 404) {
+            throw error;
+          }
+          console.log('\n⚠️ Gmail history cursor expired, running backfill');
+          newFound = await this.backfill(state);
         }
+      } else {
+        newFound = await this.backfill(state);
       }
-    } else {
-      const data = payload.body?.data;
-      if (data) {
-        const decodedBytes = Buffer.from(data, 'base64url');
-        const content = decodedBytes.toString('utf8');
-        
-        if (payload.mimeType === 'text/plain') {
-          return content.trim();
-        } else if (payload.mimeType === 'text/html') {
-          const $ = cheerio.load(content);
-          return $.text().trim();
+
+      this.authFailed = false;
+
+      if (!newFound) {
+        process.stdout.write('.');
+      }
+    } catch (error) {
+      console.error('Error checking for transactions:', error.message);
+
+      // A revoked or expired refresh token will not recover by retrying;
+      // the cycle still fails so the scheduler and health checks see it
+      if (this.isInvalidGrant(error)) {
+        await this.pauseForReauth(error);
+        throw new AppError(`Mailbox "${this.key}" is paused until it is re-authenticated`, {
+          status: 409,
+          code: 'REAUTH_REQUIRED'
+        });
+      }
+
+      // Report once per outage rather than on every cycle
+      if (this.isAuthError(error) && !this.authFailed) {
+        this.authFailed = true;
+        emitEvent(EVENTS.MONITOR_AUTH_FAILED, { mailbox: this.key, reason: error.message });
+        await auditLog.record(AUDIT_ACTIONS.AUTH_GMAIL_FAILED, {
+          metadata: { mailbox: this.key, reason: error.message }
+        });
+      }
+
+      // Lets the scheduler back off before the next cycle
+      throw error;
+    }
+  }
+
+  isInvalidGrant(error) {
+    return error.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error.message || '');
+  }
+
+  async pauseForReauth(error) {
+    if (this.authAlert && !this.isMonitoring) return;
+
+    const reason = 'Gmail access was revoked or expired (invalid_grant); re-authenticate this mailbox';
+    this.authAlert = { reason, at: new Date() };
+    console.log(`\n🔒 Pausing mailbox ${this.key}: ${reason}`);
+
+    // Leaves the mailbox marked active so re-auth resumes it
+    this.stopMonitoring();
+    await Mailbox.setAuthError(this.key, reason);
+
+    emitEvent(EVENTS.MONITOR_AUTH_FAILED, { mailbox: this.key, reason, paused: true });
+    await auditLog.record(AUDIT_ACTIONS.AUTH_GMAIL_FAILED, {
+      metadata: { mailbox: this.key, reason: error.message, paused: true }
+    });
+  }
+
+  isAuthError(error) {
+    const status = error.code || error.response?.status;
+    return status === 401 || /invalid_grant|invalid_token|unauthorized/i.test(error.message || '');
+  }
+
+  // Errors that will hit every message alike (quota, auth, access), as
+  // opposed to a problem with one message
+  isMailboxError(error) {
+    const status = error.code || error.response?.status;
+    return isQuotaError(error) || this.isAuthError(error) || status === 403;
+  }
+
+  async syncFromHistory(state) {
+    const messageIds = [];
+    let latestHistoryId = state.historyId;
+    let pageToken;
+
+    do {
+      const response = await this.gmail.users.history.list({
+        userId: 'me',
+        startHistoryId: state.historyId,
+        historyTypes: ['messageAdded'],
+        pageToken
+      });
+
+      for (const record of response.data.history || []) {
+        for (const added of record.messagesAdded || []) {
+          messageIds.push(added.message.id);
         }
       }
+
+      latestHistoryId = response.data.historyId || latestHistoryId;
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    const newFound = await this.processMessages([...new Set(messageIds)]);
+
+    await SyncState.advance(this.syncKey, {
+      historyId: latestHistoryId,
+      lastSyncedAt: new Date()
+    });
+
+    return newFound;
+  }
+
+  async backfill(state) {
+    // Take the cursor before listing so anything arriving mid-backfill is
+    // picked up by the next history sync
+    const profile = await this.gmail.users.getProfile({ userId: 'me' });
+
+    const since = state.lastSyncedAt
+      ? new Date(state.lastSyncedAt.getTime() - BACKFILL_OVERLAP_MS)
+      : new Date(Date.now() - this.backfillDays * DAY_MS);
+    const after = Math.floor(since.getTime() / 1000);
+
+    console.log(`\n🔄 Backfilling credit alerts since ${since.toISOString()}`);
+
+    let newFound = false;
+    for (const parser of this.getMailboxParsers()) {
+      const messageIds = await this.listMessageIds(`${parser.query} after:${after}`);
+      const found = await this.processMessages(messageIds, [parser]);
+      newFound = newFound || found;
     }
-    
-    return body;
+
+    await SyncState.advance(this.syncKey, {
+      historyId: profile.data.historyId,
+      lastSyncedAt: new Date(),
+      lastBackfillAt: new Date()
+    });
+
+    return newFound;
   }
 
-  async checkForNewTransactions() {
-    try {
-      const query = 'from:alerts@hdfcbank.net "successfully credited to your account"';
+  async listMessageIds(query) {
+    const messageIds = [];
+    let pageToken;
+
+    do {
       const response = await this.gmail.users.messages.list({
         userId: 'me',
         q: query,
-        maxResults: 10
+        maxResults: 100,
+        pageToken
       });
 
-      const messages = response.data.messages || [];
-      let newFound = false;
+      for (const message of response.data.messages || []) {
+        messageIds.push(message.id);
+      }
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
 
-      for (const message of messages) {
-        const msgId = message.id;
-        
-        if (this.seenMessageIds.has(msgId)) {
-          continue;
+    return messageIds;
+  }
+
+  // Processes every message, then throws if any failed so the caller does not
+  // advance the sync cursor past them. Quota and auth errors stop the loop
+  // and are rethrown as they are, so the scheduler can back off on them.
+  // Deleted messages, and ones failing MESSAGE_MAX_ATTEMPTS cycles in a row,
+  // are recorded and no longer hold the cursor back.
+  async processMessages(messageIds, parsers = this.getMailboxParsers()) {
+    const pending = await ProcessedMessage.filterUnprocessed(messageIds);
+    let newFound = false;
+    let failed = 0;
+
+    for (const msgId of pending) {
+      try {
+        const saved = await this.processMessage(msgId, parsers);
+        newFound = newFound || saved;
+        this.messageFailures.delete(msgId);
+      } catch (error) {
+        if (this.isMailboxError(error)) {
+          throw error;
         }
 
-        const msgData = await this.gmail.users.messages.get({
-          userId: 'me',
-          id: msgId,
-          format: 'full'
-        });
+        const status = error.code || error.response?.status;
+        if (status === 404 || status === 410) {
+          await ProcessedMessage.markProcessed(msgId, { mailbox: this.key, outcome: 'gone' });
+          this.messageFailures.delete(msgId);
+          continue;
+        }
 
-        const payload = msgData.data.payload;
-        const bodyText = this.getEmailBody(payload);
-
-        const transactionData = this.extractTransactionInfo(bodyText);
-
-        if (transactionData) {
-          try {
-            // Check if transaction already exists
-            const existingTransaction = await Transaction.findByUTR(transactionData.utr);
-            
-            if (!existingTransaction) {
-              const transaction = new Transaction(transactionData);
-              await transaction.save();
-              
-              console.log('\n🆕 New Transaction saved to MongoDB:');
-              console.log(JSON.stringify(transaction.toJSON(), null, 2));
-              newFound = true;
-            } else {
-              console.log(`⚠️ Transaction with UTR ${transactionData.utr} already exists`);
-            }
-          } catch (error) {
-            if (error.code === 11000) {
-              console.log(`⚠️ Duplicate transaction UTR: ${transactionData.utr}`);
-            } else {
-              console.error('❌ Error saving transaction:', error.message);
-            }
-          }
+        const attempts = (this.messageFailures.get(msgId) || 0) + 1;
+        if (attempts >= MESSAGE_MAX_ATTEMPTS) {
+          console.error(`❌ Giving up on message ${msgId} after ${attempts} attempts:`, error.message);
+          await ProcessedMessage.markProcessed(msgId, { mailbox: this.key, outcome: 'failed', error: error.message });
+          this.messageFailures.delete(msgId);
+          continue;
         }
 
-        this.seenMessageIds.add(msgId);
+        this.messageFailures.set(msgId, attempts);
+        failed++;
+        console.error(`❌ Error processing message ${msgId} (attempt ${attempts} of ${MESSAGE_MAX_ATTEMPTS}):`, error.message);
       }
+    }
 
-      if (!newFound) {
-        process.stdout.write('.');
+    if (failed > 0) {
+      throw new Error(`${failed} of ${pending.length} messages failed to process`);
+    }
+
+    return newFound;
+  }
+
+  async processMessage(msgId, parsers) {
+    // Cheap header fetch first; history includes every incoming email
+    const metadata = await this.gmail.users.messages.get({
+      userId: 'me',
+      id: msgId,
+      format: 'metadata',
+      metadataHeaders: ['From']
+    });
+
+    const from = this.getHeader(metadata.data.payload, 'From');
+    const candidates = parsers.filter(parser => parser.matchesSender(from));
+
+    if (!candidates.length) {
+      return false;
+    }
+
+    const msgData = await this.gmail.users.messages.get({
+      userId: 'me',
+      id: msgId,
+      format: 'full'
+    });
+
+    const bodyText = await this.getEmailBody(msgData.data.payload, msgId);
+    const transactionData = this.extractTransactionInfo(bodyText, { parsers: candidates });
+
+    const email = this.getEmailMetadata(msgData.data, bodyText);
+
+    if (!transactionData) {
+      const expected = candidates.filter(parser => parser.isCandidate({ from, subject: email.subject, body: bodyText }));
+      if (!expected.length) {
+        await ProcessedMessage.markProcessed(msgId, { mailbox: this.key, outcome: 'ignored' });
+        return false;
+      }
+
+      await this.quarantineEmail(email, bodyText, expected);
+      await ProcessedMessage.markProcessed(msgId, { mailbox: this.key, outcome: 'unparsed' });
+      return false;
+    }
+
+    const saved = await this.saveTransaction(transactionData, { email });
+    await ProcessedMessage.markProcessed(msgId, {
+      mailbox: this.key,
+      outcome: saved ? 'saved' : 'duplicate',
+      parser: transactionData.parser,
+      utr: transactionData.utr
+    });
+
+    return saved;
+  }
+
+  async quarantineEmail(email, bodyText, parsers) {
+    const reason = this.describeParseFailure(bodyText, parsers);
+
+    await QuarantinedEmail.quarantine({
+      messageId: email.messageId,
+      threadId: email.threadId,
+      mailbox: email.mailbox,
+      parsers: parsers.map(parser => parser.id),
+      reason,
+      from: email.from,
+      subject: email.subject,
+      emailDate: email.date,
+      body: (bodyText || '').slice(0, QUARANTINE_BODY_LIMIT)
+    });
+
+    console.log(`🚧 Quarantined email ${email.messageId} from ${email.from}: ${reason}`);
+  }
+
+  describeParseFailure(bodyText, parsers) {
+    if (!bodyText || !bodyText.trim()) {
+      return 'Email body is empty';
+    }
+
+    return parsers.map(parser => {
+      const found = parser.diagnose(bodyText);
+      const missing = [!found.amount && 'amount', !found.utr && 'UTR'].filter(Boolean);
+      return `${parser.id}: ${missing.length ? `${missing.join(' and ')} not found` : 'parse failed'}`;
+    }).join('; ');
+  }
+
+  // Accepts a full Gmail message, just its payload, or plain body text
+  async previewParse({ message = null, payload = null, text = null, from = null, subject = null, attachments = null, attachmentTypes } = {}) {
+    const emailPayload = message?.payload || payload;
+    const bodyText = text ?? (emailPayload
+      ? await this.getEmailBody(emailPayload, message?.id, { attachments, attachmentTypes })
+      : '');
+    const sender = from ?? (emailPayload ? this.getHeader(emailPayload, 'From') : null);
+    const emailSubject = subject ?? (emailPayload ? this.getHeader(emailPayload, 'Subject') : null);
+    const results = parserRegistry.preview(bodyText, { from: sender });
+
+    // What the monitor itself would store for this email, and whether it
+    // would quarantine it when nothing matches
+    const selected = results.find(r => r.enabled && r.matched && r.senderMatches !== false) || null;
+    const quarantine = !selected && parserRegistry.getAll()
+      .some(parser => parser.enabled && parser.isCandidate({ from: sender, subject: emailSubject, body: bodyText }));
+
+    return {
+      from: sender,
+      bodyText,
+      selectedParser: selected ? selected.parser : null,
+      quarantine,
+      results
+    };
+  }
+
+  getEmailMetadata(message, bodyText) {
+    const { payload } = message;
+    const dateHeader = this.getHeader(payload, 'Date');
+    // internalDate is when Gmail received it; more reliable than the header
+    const date = message.internalDate
+      ? new Date(parseInt(message.internalDate))
+      : dateHeader ? new Date(dateHeader) : null;
+
+    return {
+      mailbox: this.key,
+      messageId: message.id,
+      threadId: message.threadId || null,
+      subject: this.getHeader(payload, 'Subject'),
+      from: this.getHeader(payload, 'From'),
+      date: date && !isNaN(date.getTime()) ? date : null,
+      rawContent: (bodyText || '').slice(0, RAW_CONTENT_LIMIT)
+    };
+  }
+
+  // Prefers the credit time stated in the alert. When the alert only gives a
+  // date, the email's own time on that day is the closest estimate.
+  resolveCreditTime(transactionData, emailDate) {
+    const { creditedAt, creditedAtHasTime } = transactionData;
+
+    if (creditedAt && creditedAtHasTime) {
+      return creditedAt;
+    }
+
+    if (emailDate) {
+      const istDay = date => new Date(date.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+      if (!creditedAt || istDay(creditedAt) === istDay(emailDate)) {
+        return emailDate;
       }
+    }
+
+    return creditedAt || emailDate || transactionData.timestamp || new Date();
+  }
 
+  async saveTransaction(transactionData, { email = null } = {}) {
+    // Check if transaction already exists
+    const existingTransaction = await Transaction.findByUTR(transactionData.utr);
+
+    if (existingTransaction) {
+      console.log(`⚠️ Transaction with UTR ${transactionData.utr} already exists`);
+      await fraudDetection.screenDuplicateEmail(existingTransaction, transactionData, email);
+      return false;
+    }
+
+    // An archived credit is not recreated from an old alert
+    if (await ArchivedTransaction.exists({ utr: transactionData.utr })) {
+      console.log(`⚠️ Transaction with UTR ${transactionData.utr} is archived`);
+      return false;
+    }
+
+    const transaction = new Transaction({
+      amount: transactionData.amount,
+      utr: transactionData.utr,
+      timestamp: this.resolveCreditTime(transactionData, email?.date),
+      source: transactionData.source,
+      parser: transactionData.parser,
+      mailbox: email?.mailbox || this.key,
+      payerVpa: transactionData.payerVpa,
+      payerName: transactionData.payerName,
+      emailId: email?.messageId || null,
+      threadId: email?.threadId || null,
+      metadata: {
+        emailSubject: email?.subject || null,
+        emailFrom: email?.from || null,
+        emailDate: email?.date || null,
+        creditedAt: transactionData.creditedAt || null,
+        rawContent: email?.rawContent || null
+      }
+    });
+
+    try {
+      await transaction.save();
+
+      console.log(`\n🆕 New ${transactionData.source} transaction saved to MongoDB:`);
+      console.log(JSON.stringify(transaction.toJSON(), null, 2));
     } catch (error) {
-      console.error('Error checking for transactions:', error.message);
+      if (error.code === 11000) {
+        console.log(`⚠️ Duplicate transaction UTR: ${transactionData.utr}`);
+        return false;
+      }
+      console.error('❌ Error saving transaction:', error.message);
+      throw error;
     }
+
+    await auditLog.recordTransaction(AUDIT_ACTIONS.TRANSACTION_CREATED, {
+      after: transaction.toJSON(),
+      metadata: { messageId: email?.messageId || null, parser: transactionData.parser }
+    });
+    emitEvent(EVENTS.TRANSACTION_CREATED, transaction.toJSON());
+    await fraudDetection.screenCredit(transaction);
+
+    try {
+      await paymentIntentService.resolveForTransaction(transaction);
+    } catch (error) {
+      console.error('❌ Error resolving payment intent:', error.message);
+    }
+
+    return true;
   }
 
-  async startMonitoring() {
+  // Runs a sync now, or queues one more run if a sync is already in flight
+  requestSync() {
+    return this.scheduler.trigger();
+  }
+
+  // Without an override: ten poll intervals, at least ten minutes. Push mode
+  // adds the time it takes the watchdog to fall back to polling.
+  getStaleAfter(mode) {
+    const staleAfter = this.staleAfter || Math.max(10 * this.pollInterval, 10 * 60 * 1000);
+    return mode === 'push' ? staleAfter + this.pushStaleAfter : staleAfter;
+  }
+
+  async startMonitoring(options = {}) {
     if (this.isMonitoring) {
-      return { message: 'Monitoring is already active', status: 'running' };
+      return { message: 'Monitoring is already active', status: 'running', mode: this.mode };
+    }
+
+    const mode = options.mode || this.mode || process.env.MONITOR_MODE || 'poll';
+    if (!['poll', 'push'].includes(mode)) {
+      throw new Error(`Unknown monitoring mode "${mode}"`);
     }
 
     // Try to load saved tokens first
     const hasTokens = await this.loadSavedTokens();
     
     if (!hasTokens || !this.gmail) {
+      emitEvent(EVENTS.MONITOR_AUTH_FAILED, { mailbox: this.key, reason: 'No saved Gmail tokens' });
       throw new Error('Authentication required. Please authenticate first.');
     }
 
+    if (mode === 'push') {
+      await this.resolveEmail();
+      await this.watch.start(this.gmail, {
+        onRenewFailed: () => this.startFallbackPolling('watch renewal failed')
+      });
+    }
+
     this.isMonitoring = true;
-    
-    console.log(`✅ Starting monitoring every ${this.pollInterval / 1000} seconds...`);
-    
-    // Start polling
-    this.monitoringInterval = setInterval(() => {
-      this.checkForNewTransactions();
-    }, this.pollInterval);
+    this.mode = mode;
 
-    // Check immediately
-    this.checkForNewTransactions();
+    if (mode === 'push') {
+      console.log(`✅ Starting monitoring of ${this.key} via Gmail push notifications...`);
+
+      this.pushStartedAt = Date.now();
+      this.lastPushAt = null;
+      this.watchdogInterval = setInterval(() => {
+        this.checkPushHealth();
+      }, WATCHDOG_INTERVAL_MS);
+    } else {
+      console.log(`✅ Starting monitoring of ${this.key} every ${this.pollInterval / 1000} seconds...`);
+    }
+
+    emitEvent(EVENTS.MONITOR_STARTED, { mailbox: this.key, mode, pollInterval: this.pollInterval / 1000 });
+    await auditLog.record(AUDIT_ACTIONS.MONITOR_STARTED, { metadata: { mailbox: this.key, mode } });
+
+    // Checks immediately, then polls unless push notifications drive syncs
+    this.scheduler.start({
+      intervalMs: this.pollInterval,
+      periodic: mode === 'poll',
+      staleAfterMs: this.getStaleAfter(mode)
+    });
 
     return { 
       message: 'Monitoring started successfully', 
       status: 'running',
+      mode,
       interval: this.pollInterval / 1000
     };
   }
 
+  startFallbackPolling(reason) {
+    if (!this.isMonitoring || this.mode !== 'push' || this.fallbackPolling) {
+      return;
+    }
+
+    console.log(`\n⚠️ Falling back to polling: ${reason}`);
+    this.fallbackPolling = true;
+    this.scheduler.setPeriodic(true);
+    this.requestSync();
+  }
+
+  stopFallbackPolling() {
+    if (!this.fallbackPolling) {
+      return;
+    }
+
+    console.log('\n📡 Push notifications resumed, polling fallback stopped');
+    this.fallbackPolling = false;
+    this.scheduler.setPeriodic(false);
+  }
+
+  checkPushHealth() {
+    const lastSignal = this.lastPushAt || this.pushStartedAt;
+
+    if (Date.now() - lastSignal > this.pushStaleAfter) {
+      this.startFallbackPolling(`no push received in ${this.pushStaleAfter / 1000} seconds`);
+    }
+  }
+
+  verifyPushRequest(req) {
+    return this.watch.verifyPush(req);
+  }
+
+  handlePushNotification(body) {
+    const notification = this.watch.decodePush(body);
+
+    if (!notification) {
+      return { accepted: false, reason: 'Malformed push payload' };
+    }
+
+    if (!this.isMonitoring || this.mode !== 'push') {
+      return { accepted: false, reason: 'Push monitoring is not active' };
+    }
+
+    this.lastPushAt = Date.now();
+    this.stopFallbackPolling();
+    this.requestSync();
+
+    return { accepted: true, historyId: notification.historyId };
+  }
+
   stopMonitoring() {
     if (!this.isMonitoring) {
       return { message: 'Monitoring is not active', status: 'stopped' };
     }
 
     this.isMonitoring = false;
-    
-    if (this.monitoringInterval) {
-      clearInterval(this.monitoringInterval);
-      this.monitoringInterval = null;
+    this.scheduler.stop();
+
+    if (this.watchdogInterval) {
+      clearInterval(this.watchdogInterval);
+      this.watchdogInterval = null;
+    }
+
+    if (this.mode === 'push') {
+      this.fallbackPolling = false;
+      this.watch.stop().catch(error => {
+        console.error('❌ Failed to stop Gmail watch:', error.message);
+      });
     }
 
-    console.log('\n👋 Monitoring stopped.');
+    console.log(`\n👋 Monitoring of ${this.key} stopped.`);
+    emitEvent(EVENTS.MONITOR_STOPPED, { mailbox: this.key, mode: this.mode });
+    auditLog.record(AUDIT_ACTIONS.MONITOR_STOPPED, { metadata: { mailbox: this.key, mode: this.mode } });
     
     return { message: 'Monitoring stopped successfully', status: 'stopped' };
   }
 
+  getPushStatus() {
+    return {
+      ...this.watch.getStatus(),
+      lastPushAt: this.lastPushAt ? new Date(this.lastPushAt) : null,
+      fallbackPolling: this.fallbackPolling
+    };
+  }
+
   async getStatus() {
     try {
-      const transactionCount = await Transaction.countDocuments();
-      const unclaimedCount = await Transaction.countDocuments({ claimed: false });
+      // Records from before multiple mailboxes have no mailbox; they came
+      // from the default one
+      const mailbox = this.key === DEFAULT_MAILBOX ? { $in: [DEFAULT_MAILBOX, null] } : this.key;
+      const transactionCount = await Transaction.countDocuments({ mailbox });
+      const unclaimedCount = await Transaction.countDocuments({ mailbox, status: 'received' });
+      const seenMessagesCount = await ProcessedMessage.countDocuments({ mailbox });
+      const quarantinedCount = await QuarantinedEmail.countDocuments({ mailbox, status: 'pending' });
+      const syncState = await SyncState.findOne({ key: this.syncKey });
       return {
+        mailbox: this.getMailboxStatus(),
         isMonitoring: this.isMonitoring,
         transactionCount,
         unclaimedCount,
-        seenMessagesCount: this.seenMessageIds.size,
+        seenMessagesCount,
+        quarantinedCount,
         pollInterval: this.pollInterval / 1000,
-        isAuthenticated: !!this.gmail
+        isAuthenticated: !!this.gmail,
+        mode: this.mode,
+        push: this.getPushStatus(),
+        sync: syncState ? syncState.toJSON() : null,
+        scheduler: this.scheduler.getStats(),
+        parsers: this.getParsers()
       };
     } catch (error) {
       return {
+        mailbox: this.getMailboxStatus(),
         isMonitoring: this.isMonitoring,
         transactionCount: 0,
         unclaimedCount: 0,
-        seenMessagesCount: this.seenMessageIds.size,
+        seenMessagesCount: 0,
+        quarantinedCount: 0,
         pollInterval: this.pollInterval / 1000,
-        isAuthenticated: !!this.gmail
+        isAuthenticated: !!this.gmail,
+        mode: this.mode,
+        push: this.getPushStatus(),
+        sync: null,
+        scheduler: this.scheduler.getStats(),
+        parsers: this.getParsers()
       };
     }
   }
 
+  getMailboxStatus() {
+    return {
+      key: this.key,
+      name: this.name,
+      email: this.email,
+      isMonitoring: this.isMonitoring,
+      isAuthenticated: !!this.gmail,
+      mode: this.mode,
+      pollInterval: this.pollInterval / 1000,
+      parsers: this.getMailboxParsers().map(parser => parser.id),
+      authAlert: this.authAlert,
+      health: this.getSyncHealth()
+    };
+  }
+
+  // Summary of the sync loop for health checks; a mailbox paused for
+  // re-authentication is not syncing at all
+  getSyncHealth() {
+    const stats = this.scheduler.getStats();
+    return {
+      stale: stats.stale,
+      paused: !!this.authAlert,
+      lastSuccessAt: stats.lastSuccessAt,
+      lastFailureAt: stats.lastFailureAt,
+      consecutiveFailures: stats.consecutiveFailures,
+      lastDurationMs: stats.durationMs.last,
+      nextRunAt: stats.nextRunAt
+    };
+  }
+
+  getParsers() {
+    return parserRegistry.getAll().map(p => p.toJSON());
+  }
+
+  setParserEnabled(id, enabled) {
+    return parserRegistry.setEnabled(id, enabled).toJSON();
+  }
+
   async getTransactions(limit = 50) {
     try {
       const transactions = await Transaction.findRecent(limit);
@@ -310,16 +1099,152 @@ export class GmailMonitor {
     }
   }
 
-  async claimTransaction(utr) {
+  async claimTransaction(utr, { orderId, amount, claimedBy = null }) {
     try {
-      const transaction = await Transaction.claimTransaction(utr);
-      return transaction;
+      return await claimUTR(utr, { orderId, amount, claimedBy });
     } catch (error) {
-      console.error('Error claiming transaction:', error);
+      if (!(error instanceof AppError)) {
+        console.error('Error claiming transaction:', error);
+      }
       throw error;
     }
   }
 
+  async getEvidence(utr) {
+    const transaction = await Transaction.findByUTR(utr);
+
+    if (!transaction) {
+      throw new AppError('Transaction not found', { status: 404, code: 'UTR_NOT_FOUND' });
+    }
+
+    return transaction.toEvidence();
+  }
+
+  getQuarantine({ status, parser, mailbox, before, limit = 50 } = {}) {
+    if (status && !QUARANTINE_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of ${QUARANTINE_STATUSES.join(', ')}`, {
+        status: 400,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    return QuarantinedEmail.findRecent({ status, parser, mailbox, before, limit });
+  }
+
+  async getQuarantinedEmail(id) {
+    const email = mongoose.isValidObjectId(id) ? await QuarantinedEmail.findById(id) : null;
+    if (!email) {
+      throw new AppError('Quarantined email not found', { status: 404, code: 'QUARANTINE_NOT_FOUND' });
+    }
+    return email;
+  }
+
+  // Creates the transaction a parser missed from manually entered details
+  async promoteQuarantined(id, { amount, utr, payerVpa = null, payerName = null, creditedAt = null, note = null }) {
+    const email = await this.getQuarantinedEmail(id);
+    const resolvedBy = getContext()?.actor || null;
+
+    // Reserve the email first so two reviewers cannot promote it twice
+    const reserved = await QuarantinedEmail.resolve(email._id, 'promoted', { resolvedBy, note, utr });
+    if (!reserved) {
+      throw new AppError('Quarantined email has already been reviewed', { status: 409, code: 'QUARANTINE_RESOLVED' });
+    }
+
+    const parser = email.parsers.length === 1 ? parserRegistry.get(email.parsers[0]) : null;
+    const transactionData = {
+      amount,
+      utr,
+      payerVpa,
+      payerName,
+      creditedAt,
+      creditedAtHasTime: !!creditedAt,
+      parser: 'manual',
+      source: parser ? parser.source : 'OTHER'
+    };
+
+    let saved = false;
+    try {
+      saved = await this.saveTransaction(transactionData, {
+        email: {
+          mailbox: email.mailbox,
+          messageId: email.messageId,
+          threadId: email.threadId,
+          subject: email.subject,
+          from: email.from,
+          date: email.emailDate,
+          rawContent: email.body.slice(0, RAW_CONTENT_LIMIT)
+        }
+      });
+    } finally {
+      // Back to the queue if no transaction was created
+      if (!saved) {
+        await QuarantinedEmail.updateOne(
+          { _id: email._id },
+          { $set: { status: 'pending', resolvedBy: null, resolvedAt: null, resolutionNote: null, utr: null } }
+        );
+      }
+    }
+
+    if (!saved) {
+      throw new AppError(`Transaction with UTR ${utr} already exists`, { status: 409, code: 'UTR_EXISTS' });
+    }
+
+    await ProcessedMessage.markProcessed(email.messageId, {
+      mailbox: email.mailbox,
+      outcome: 'saved',
+      parser: 'manual',
+      utr
+    });
+    await auditLog.record(AUDIT_ACTIONS.QUARANTINE_PROMOTED, {
+      entityType: 'quarantined_email',
+      entityId: email._id,
+      utr,
+      before: email.toJSON(),
+      after: reserved.toJSON()
+    });
+
+    return { email: reserved, transaction: await Transaction.findByUTR(utr) };
+  }
+
+  async dismissQuarantined(id, reason) {
+    const email = await this.getQuarantinedEmail(id);
+    const dismissed = await QuarantinedEmail.resolve(email._id, 'dismissed', {
+      resolvedBy: getContext()?.actor || null,
+      note: reason
+    });
+
+    if (!dismissed) {
+      throw new AppError('Quarantined email has already been reviewed', { status: 409, code: 'QUARANTINE_RESOLVED' });
+    }
+
+    await auditLog.record(AUDIT_ACTIONS.QUARANTINE_DISMISSED, {
+      entityType: 'quarantined_email',
+      entityId: email._id,
+      before: email.toJSON(),
+      after: dismissed.toJSON(),
+      metadata: { reason }
+    });
+
+    return dismissed;
+  }
+
+  async getClaimByUTR(utr) {
+    const transaction = await Transaction.findByUTR(utr);
+
+    if (!transaction) {
+      throw new AppError('Transaction not found', { status: 404, code: 'UTR_NOT_FOUND' });
+    }
+
+    return {
+      utr: transaction.utr,
+      amount: transaction.amount,
+      status: transaction.status,
+      claimed: transaction.status === 'claimed',
+      orderId: transaction.orderId,
+      claimedBy: transaction.claimedBy,
+      claimedAt: transaction.claimedAt
+    };
+  }
+
   async getLatestTransaction() {
     try {
       const transaction = await Transaction.findOne().sort({ timestamp: -1 });
@@ -330,24 +1255,12 @@ export class GmailMonitor {
     }
   }
 
-  async clearTransactions() {
-    try {
-      const result = await Transaction.deleteMany({});
-      this.seenMessageIds.clear();
-      return { deletedCount: result.deletedCount };
-    } catch (error) {
-      console.error('Error clearing transactions:', error);
-      throw error;
-    }
-  }
-
   async getTransactionStats(startDate, endDate, claimedOnly = false) {
     try {
-      const stats = await Transaction.getTotalAmount(startDate, endDate, claimedOnly);
-      return stats.length > 0 ? stats[0] : { total: 0, count: 0 };
+      return await Transaction.getTotalAmount(startDate, endDate, claimedOnly);
     } catch (error) {
       console.error('Error getting transaction stats:', error);
-      return { total: 0, count: 0 };
+      return { total: 0, count: 0, byStatus: {} };
     }
   }
 }
\ No newline at end of file
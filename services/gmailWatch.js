@@ -0,0 +1,191 @@
+import { google } from 'googleapis';
+import crypto from 'crypto';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Google recommends re-calling watch at least once a day
+const MAX_RENEW_DELAY_MS = 24 * HOUR_MS;
+// Failed renewals are retried after 1, 2, 4... minutes, up to an hour
+const RENEW_RETRY_BASE_MS = 60 * 1000;
+
+export class GmailWatch {
+  constructor(options = {}) {
+    this.topicName = options.topicName || process.env.GMAIL_PUBSUB_TOPIC || null;
+    this.verificationToken = options.verificationToken || process.env.PUBSUB_VERIFICATION_TOKEN || null;
+    this.audience = options.audience || process.env.PUBSUB_AUDIENCE || null;
+    this.serviceAccount = options.serviceAccount || process.env.PUBSUB_SERVICE_ACCOUNT || null;
+    this.renewMarginMs = options.renewMarginMs || HOUR_MS;
+
+    this.gmail = null;
+    this.expiration = null;
+    this.historyId = null;
+    this.renewTimer = null;
+    this.renewFailures = 0;
+    // Bumped by start() and stop(); a renewal finishing under an older
+    // generation was overtaken by stop() and is discarded
+    this.generation = 0;
+    this.onRenewFailed = null;
+    this.authClient = new google.auth.OAuth2();
+  }
+
+  isConfigured() {
+    return !!this.topicName;
+  }
+
+  async start(gmail, { onRenewFailed } = {}) {
+    if (!this.topicName) {
+      throw new Error('GMAIL_PUBSUB_TOPIC is required for push mode');
+    }
+
+    this.gmail = gmail;
+    this.onRenewFailed = onRenewFailed || null;
+    this.generation++;
+    return this.renew();
+  }
+
+  async renew() {
+    const generation = this.generation;
+    const gmail = this.gmail;
+    const response = await gmail.users.watch({
+      userId: 'me',
+      requestBody: {
+        topicName: this.topicName,
+        labelIds: ['INBOX'],
+        labelFilterBehavior: 'INCLUDE'
+      }
+    });
+
+    if (generation !== this.generation) {
+      // stop() ran while watch() was in flight; undo the watch it just made
+      await gmail.users.stop({ userId: 'me' }).catch(error => {
+        console.error('❌ Failed to stop Gmail watch:', error.message);
+      });
+      return null;
+    }
+
+    this.historyId = response.data.historyId;
+    this.expiration = new Date(parseInt(response.data.expiration));
+    this.renewFailures = 0;
+    this.scheduleRenewal();
+
+    console.log(`📡 Gmail watch active until ${this.expiration.toISOString()}`);
+    return { historyId: this.historyId, expiration: this.expiration };
+  }
+
+  scheduleRenewal(retryDelay = null) {
+    if (this.renewTimer) {
+      clearTimeout(this.renewTimer);
+    }
+
+    const untilExpiry = this.expiration.getTime() - Date.now() - this.renewMarginMs;
+    const delay = retryDelay ?? Math.max(0, Math.min(untilExpiry, MAX_RENEW_DELAY_MS));
+    const generation = this.generation;
+
+    this.renewTimer = setTimeout(async () => {
+      this.renewTimer = null;
+      try {
+        await this.renew();
+      } catch (error) {
+        if (generation !== this.generation) return;
+
+        this.renewFailures++;
+        const retryIn = Math.min(RENEW_RETRY_BASE_MS * 2 ** (this.renewFailures - 1), HOUR_MS);
+        console.error(`❌ Failed to renew Gmail watch (retrying in ${retryIn / 1000}s):`, error.message);
+        if (this.onRenewFailed) {
+          this.onRenewFailed(error);
+        }
+        // Keeps retrying until stop()
+        this.scheduleRenewal(retryIn);
+      }
+    }, delay);
+  }
+
+  async stop() {
+    this.generation++;
+    if (this.renewTimer) {
+      clearTimeout(this.renewTimer);
+      this.renewTimer = null;
+    }
+
+    if (this.gmail && this.expiration) {
+      await this.gmail.users.stop({ userId: 'me' });
+    }
+
+    this.expiration = null;
+    this.historyId = null;
+  }
+
+  // Accepts either a shared ?token= secret on the push endpoint URL or a
+  // Pub/Sub OIDC bearer token; at least one of them must be configured
+  async verifyPush(req) {
+    if (!this.verificationToken && !this.audience) {
+      return { valid: false, reason: 'Push verification is not configured' };
+    }
+
+    if (this.verificationToken && !safeEqual(req.query.token, this.verificationToken)) {
+      return { valid: false, reason: 'Invalid verification token' };
+    }
+
+    if (this.audience) {
+      const header = req.headers.authorization || '';
+      const idToken = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+      if (!idToken) {
+        return { valid: false, reason: 'Missing bearer token' };
+      }
+
+      try {
+        const ticket = await this.authClient.verifyIdToken({ idToken, audience: this.audience });
+        const payload = ticket.getPayload();
+
+        if (this.serviceAccount && payload.email !== this.serviceAccount) {
+          return { valid: false, reason: 'Unexpected push service account' };
+        }
+      } catch (error) {
+        return { valid: false, reason: 'Invalid bearer token' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  decodePush(body) {
+    const data = body?.message?.data;
+    if (!data) {
+      return null;
+    }
+
+    try {
+      const notification = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+      if (!notification.historyId) {
+        return null;
+      }
+
+      return {
+        emailAddress: notification.emailAddress || null,
+        historyId: String(notification.historyId),
+        messageId: body.message.messageId || body.message.message_id || null
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getStatus() {
+    return {
+      topicName: this.topicName,
+      expiration: this.expiration,
+      historyId: this.historyId,
+      renewFailures: this.renewFailures
+    };
+  }
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
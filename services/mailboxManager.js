@@ -0,0 +1,272 @@
+import { Mailbox, MONITOR_MODES, DEFAULT_MAILBOX } from '../models/Mailbox.js';
+import { SyncState } from '../models/SyncState.js';
+import { GmailMonitor } from './gmailMonitor.js';
+import { GmailWatch } from './gmailWatch.js';
+import { parserRegistry } from './parsers/index.js';
+import { AppError } from '../utils/errors.js';
+
+const MIN_POLL_INTERVAL_SECONDS = 5;
+
+// Registry of monitored mailboxes, one GmailMonitor per Mailbox document
+class MailboxManager {
+  constructor() {
+    this.monitors = new Map();
+    // Push verification and decoding do not depend on the mailbox
+    this.pushVerifier = new GmailWatch();
+  }
+
+  async init() {
+    await Mailbox.ensureDefault();
+    const mailboxes = await Mailbox.find().sort({ createdAt: 1 });
+
+    for (const mailbox of mailboxes) {
+      this.monitors.set(mailbox.key, this.createMonitor(mailbox));
+    }
+
+    // Resume mailboxes that were running before the restart, except those
+    // waiting to be re-authenticated
+    for (const mailbox of mailboxes.filter(m => m.active && !m.authError?.reason)) {
+      try {
+        await this.start(mailbox.key);
+      } catch (error) {
+        console.error(`❌ Could not resume mailbox ${mailbox.key}:`, error.message);
+      }
+    }
+  }
+
+  createMonitor(mailbox) {
+    const monitor = new GmailMonitor({
+      key: mailbox.key,
+      name: mailbox.name,
+      email: mailbox.email,
+      parsers: mailbox.parsers,
+      pollInterval: mailbox.pollInterval,
+      mode: mailbox.mode
+    });
+
+    if (mailbox.authError?.reason) {
+      monitor.authAlert = { reason: mailbox.authError.reason, at: mailbox.authError.at };
+    }
+    return monitor;
+  }
+
+  get(key = DEFAULT_MAILBOX) {
+    const monitor = this.monitors.get(key);
+    if (!monitor) {
+      throw new AppError(`Mailbox "${key}" not found`, { status: 404, code: 'MAILBOX_NOT_FOUND' });
+    }
+    return monitor;
+  }
+
+  getAll() {
+    return [...this.monitors.values()];
+  }
+
+  async list() {
+    const mailboxes = await Mailbox.find().sort({ createdAt: 1 });
+    return mailboxes.map(mailbox => this.describe(mailbox));
+  }
+
+  async getMailbox(key) {
+    const mailbox = await Mailbox.findByKey(key);
+    if (!mailbox) {
+      throw new AppError(`Mailbox "${key}" not found`, { status: 404, code: 'MAILBOX_NOT_FOUND' });
+    }
+    return mailbox;
+  }
+
+  describe(mailbox) {
+    const monitor = this.monitors.get(mailbox.key);
+    return {
+      ...mailbox.toJSON(),
+      isMonitoring: monitor ? monitor.isMonitoring : false,
+      isAuthenticated: monitor ? !!monitor.gmail : false
+    };
+  }
+
+  validateSettings({ parsers, pollInterval, mode }) {
+    if (parsers !== undefined) {
+      if (!Array.isArray(parsers)) {
+        throw new AppError('parsers must be an array of parser IDs', { status: 400, code: 'VALIDATION_ERROR' });
+      }
+      const unknown = parsers.filter(id => !parserRegistry.get(id));
+      if (unknown.length) {
+        throw new AppError(`Unknown parsers: ${unknown.join(', ')}`, { status: 400, code: 'VALIDATION_ERROR' });
+      }
+    }
+
+    if (pollInterval !== undefined && (!Number.isFinite(pollInterval) || pollInterval < MIN_POLL_INTERVAL_SECONDS)) {
+      throw new AppError(`pollInterval must be at least ${MIN_POLL_INTERVAL_SECONDS} seconds`, {
+        status: 400,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    if (mode !== undefined && !MONITOR_MODES.includes(mode)) {
+      throw new AppError(`mode must be one of ${MONITOR_MODES.join(', ')}`, { status: 400, code: 'VALIDATION_ERROR' });
+    }
+  }
+
+  async add({ key, name = null, parsers = [], pollInterval = 30, mode = 'poll' }) {
+    if (typeof key !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,39}$/.test(key)) {
+      throw new AppError('key must be 1-40 lowercase letters, digits, "-" or "_"', {
+        status: 400,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    this.validateSettings({ parsers, pollInterval, mode });
+
+    if (await Mailbox.findByKey(key)) {
+      throw new AppError(`Mailbox "${key}" already exists`, { status: 409, code: 'MAILBOX_EXISTS' });
+    }
+
+    const mailbox = await Mailbox.create({ key, name, parsers, pollInterval, mode });
+    this.monitors.set(key, this.createMonitor(mailbox));
+
+    console.log(`📬 Mailbox ${key} added`);
+    return this.describe(mailbox);
+  }
+
+  async update(key, settings) {
+    const mailbox = await this.getMailbox(key);
+    this.validateSettings(settings);
+
+    for (const field of ['name', 'parsers', 'pollInterval', 'mode']) {
+      if (settings[field] !== undefined) {
+        mailbox[field] = settings[field];
+      }
+    }
+    await mailbox.save();
+
+    const monitor = this.get(key);
+    monitor.configure(mailbox);
+
+    // Restart so a running mailbox picks up the new settings
+    if (monitor.isMonitoring) {
+      monitor.stopMonitoring();
+      await monitor.startMonitoring({ mode: mailbox.mode });
+    }
+
+    return this.describe(mailbox);
+  }
+
+  // Transactions keep their mailbox tag; only the account and its cursor go
+  async remove(key) {
+    if (key === DEFAULT_MAILBOX) {
+      throw new AppError('The default mailbox cannot be removed', { status: 409, code: 'MAILBOX_PROTECTED' });
+    }
+
+    const mailbox = await this.getMailbox(key);
+    const monitor = this.monitors.get(key);
+    if (monitor?.isMonitoring) {
+      monitor.stopMonitoring();
+    }
+
+    await Mailbox.deleteOne({ _id: mailbox._id });
+    await SyncState.deleteOne({ key });
+    this.monitors.delete(key);
+
+    console.log(`📭 Mailbox ${key} removed`);
+    return mailbox;
+  }
+
+  async start(key, { mode } = {}) {
+    const monitor = this.get(key);
+
+    if (monitor.authAlert) {
+      throw new AppError(`Mailbox "${key}" must be re-authenticated first: ${monitor.authAlert.reason}`, {
+        status: 409,
+        code: 'REAUTH_REQUIRED'
+      });
+    }
+
+    try {
+      const result = await monitor.startMonitoring({ mode });
+      await Mailbox.updateOne(
+        { key },
+        { $set: { active: true, mode: monitor.mode, lastStartedAt: new Date(), lastError: null } }
+      );
+      return { mailbox: key, ...result };
+    } catch (error) {
+      await Mailbox.updateOne({ key }, { $set: { lastError: error.message } });
+      throw error;
+    }
+  }
+
+  async stop(key) {
+    const result = this.get(key).stopMonitoring();
+    await Mailbox.updateOne({ key }, { $set: { active: false, lastStoppedAt: new Date() } });
+    return { mailbox: key, ...result };
+  }
+
+  // Shutdown: stop timers without clearing the persisted active flag
+  stopAll() {
+    for (const monitor of this.getAll()) {
+      monitor.stopMonitoring();
+    }
+  }
+
+  // Mailboxes that need attention, surfaced in /api/monitor/status
+  getAlerts() {
+    const alerts = this.getAll()
+      .filter(monitor => monitor.authAlert)
+      .map(monitor => ({
+        type: 'reauth_required',
+        mailbox: monitor.key,
+        email: monitor.email,
+        ...monitor.authAlert
+      }));
+
+    for (const monitor of this.getAll()) {
+      const health = monitor.getSyncHealth();
+      if (health.stale) {
+        alerts.push({
+          type: 'sync_stale',
+          mailbox: monitor.key,
+          email: monitor.email,
+          reason: `No successful sync since ${health.lastSuccessAt ? health.lastSuccessAt.toISOString() : 'monitoring started'}`,
+          consecutiveFailures: health.consecutiveFailures
+        });
+      }
+    }
+    return alerts;
+  }
+
+  // Sync health of every monitored mailbox, and of those paused for
+  // re-authentication, for /api/health
+  getSyncHealth() {
+    const mailboxes = this.getAll()
+      .filter(monitor => monitor.isMonitoring || monitor.authAlert)
+      .map(monitor => ({ mailbox: monitor.key, ...monitor.getSyncHealth() }));
+
+    return {
+      healthy: !mailboxes.some(mailbox => mailbox.stale || mailbox.paused),
+      stale: mailboxes.some(mailbox => mailbox.stale),
+      paused: mailboxes.some(mailbox => mailbox.paused),
+      mailboxes
+    };
+  }
+
+  verifyPushRequest(req) {
+    return this.pushVerifier.verifyPush(req);
+  }
+
+  handlePushNotification(body) {
+    const notification = this.pushVerifier.decodePush(body);
+
+    if (!notification) {
+      return { accepted: false, reason: 'Malformed push payload' };
+    }
+
+    const address = notification.emailAddress?.toLowerCase();
+    const monitor = this.getAll().find(m => m.email && m.email === address);
+
+    if (!monitor) {
+      return { accepted: false, reason: `No mailbox for ${notification.emailAddress || 'unknown address'}` };
+    }
+
+    return { mailbox: monitor.key, ...monitor.handlePushNotification(body) };
+  }
+}
+
+export const mailboxManager = new MailboxManager();
@@ -0,0 +1,169 @@
+import * as cheerio from 'cheerio';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Attachment types whose text is appended to the body, e.g. PARSE_ATTACHMENTS=pdf,html
+const ATTACHMENT_TYPES = (process.env.PARSE_ATTACHMENTS || '')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+const PDF_PASSWORD = process.env.PDF_ATTACHMENT_PASSWORD || null;
+// Larger attachments are most likely full statements rather than alerts
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+const BLOCK_TAGS = 'p, div, tr, li, table, h1, h2, h3, h4, h5, h6';
+
+export function getHeader(payload, name) {
+  const header = (payload?.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+  return header ? header.value : null;
+}
+
+// Parameter from a structured header, e.g. charset from "text/plain; charset=UTF-8"
+function getHeaderParam(value, param) {
+  const match = (value || '').match(new RegExp(`${param}\\s*=\\s*"?([^";]+)"?`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+function isAttachment(part) {
+  const disposition = getHeader(part, 'Content-Disposition') || '';
+  return !!part.filename || /^\s*attachment/i.test(disposition);
+}
+
+// Depth-first list of leaf parts in document order
+export function flattenParts(payload) {
+  if (!payload) return [];
+  if (payload.parts?.length) {
+    return payload.parts.flatMap(part => flattenParts(part));
+  }
+  return [payload];
+}
+
+function decodeQuotedPrintable(buffer) {
+  const text = buffer.toString('latin1').replace(/=\r?\n/g, '');
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const hex = text.slice(i + 1, i + 3);
+    if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeCharset(buffer, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch (error) {
+    // Unknown or mislabelled charset
+    return buffer.toString('utf8');
+  }
+}
+
+// Gmail already undoes the transfer encoding, but forwarded and re-sent
+// alerts sometimes still carry quoted-printable text
+function decodePart(part, buffer) {
+  const transferEncoding = (getHeader(part, 'Content-Transfer-Encoding') || '').toLowerCase();
+  const charset = getHeaderParam(getHeader(part, 'Content-Type'), 'charset');
+  const content = transferEncoding === 'quoted-printable' ? decodeQuotedPrintable(buffer) : buffer;
+  return decodeCharset(content, charset);
+}
+
+export function htmlToText(html) {
+  const $ = cheerio.load(html);
+  $('script, style, head').remove();
+  $('br').replaceWith('\n');
+  // Keep table cells and blocks from running into each other
+  $('td, th').append(' ');
+  $(BLOCK_TAGS).append('\n');
+  return $.text().replace(/[ \t]+/g, ' ').replace(/\n\s*\n+/g, '\n').trim();
+}
+
+async function pdfToText(buffer) {
+  let PDFParse;
+  try {
+    ({ PDFParse } = await import('pdf-parse'));
+  } catch (error) {
+    console.log('⚠️ PDF attachment skipped: install the optional pdf-parse package to read PDFs');
+    return '';
+  }
+
+  const parser = new PDFParse({ data: buffer, password: PDF_PASSWORD || undefined });
+  try {
+    const result = await parser.getText();
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+// Large bodies and attachments come back as an attachmentId instead of data
+async function readPartData(part, fetchAttachment) {
+  if (part.body?.data) {
+    return Buffer.from(part.body.data, 'base64url');
+  }
+  if (part.body?.attachmentId && fetchAttachment) {
+    const data = await fetchAttachment(part.body.attachmentId);
+    return data ? Buffer.from(data, 'base64url') : null;
+  }
+  return null;
+}
+
+function attachmentType(part) {
+  const mimeType = (part.mimeType || '').toLowerCase();
+  const filename = (part.filename || '').toLowerCase();
+
+  if (mimeType === 'application/pdf' || filename.endsWith('.pdf')) return 'pdf';
+  if (mimeType === 'text/html' || /\.html?$/.test(filename)) return 'html';
+  return null;
+}
+
+async function extractAttachmentText(part, fetchAttachment, attachmentTypes) {
+  const type = attachmentType(part);
+  if (!type || !attachmentTypes.includes(type)) return '';
+  if (part.body?.size > MAX_ATTACHMENT_BYTES) return '';
+
+  try {
+    const buffer = await readPartData(part, fetchAttachment);
+    if (!buffer) return '';
+    return type === 'pdf' ? await pdfToText(buffer) : htmlToText(decodePart(part, buffer));
+  } catch (error) {
+    console.error(`❌ Could not read attachment ${part.filename || part.partId}:`, error.message);
+    return '';
+  }
+}
+
+// Walks the whole MIME tree and returns the readable body: all inline
+// text/plain parts, or the HTML parts converted to text when there is no
+// plain text, followed by any enabled PDF/HTML attachments.
+// fetchAttachment(attachmentId) resolves to base64url data.
+export async function extractBody(payload, { fetchAttachment = null, attachmentTypes = ATTACHMENT_TYPES } = {}) {
+  const parts = flattenParts(payload);
+  const inline = parts.filter(part => !isAttachment(part));
+
+  const plain = inline.filter(part => part.mimeType === 'text/plain');
+  const html = inline.filter(part => part.mimeType === 'text/html');
+  const chosen = plain.length ? plain : html;
+
+  const sections = [];
+  for (const part of chosen) {
+    const buffer = await readPartData(part, fetchAttachment);
+    if (!buffer) continue;
+
+    const content = decodePart(part, buffer);
+    sections.push(part.mimeType === 'text/html' ? htmlToText(content) : content.trim());
+  }
+
+  for (const part of parts.filter(isAttachment)) {
+    const text = await extractAttachmentText(part, fetchAttachment, attachmentTypes);
+    if (text) {
+      sections.push(text.trim());
+    }
+  }
+
+  return sections.filter(Boolean).join('\n\n');
+}
@@ -0,0 +1,36 @@
+// Email through any SMTP server; nodemailer is an optional dependency and
+// only loaded when the channel is used
+export class SmtpNotifier {
+  constructor({ host, port = 587, secure = false, user, pass, from, to }) {
+    if (!host || !to) {
+      throw new Error('SMTP notifier needs SMTP_HOST and ALERT_EMAIL_TO');
+    }
+    this.id = 'smtp';
+    this.options = { host, port, secure, auth: user ? { user, pass } : undefined };
+    this.from = from || user;
+    this.to = to;
+    this.transport = null;
+  }
+
+  async getTransport() {
+    if (!this.transport) {
+      let nodemailer;
+      try {
+        nodemailer = (await import('nodemailer')).default;
+      } catch (error) {
+        throw new Error('Email alerts need the optional nodemailer package (npm install nodemailer)');
+      }
+      this.transport = nodemailer.createTransport(this.options);
+    }
+    return this.transport;
+  }
+
+  async send({ subject, text }) {
+    const transport = await this.getTransport();
+    await transport.sendMail({ from: this.from, to: this.to, subject, text });
+  }
+
+  describe() {
+    return { id: this.id, host: this.options.host, to: this.to };
+  }
+}
@@ -0,0 +1,21 @@
+// Local stand-in for any channel: logs messages and keeps the latest ones
+// in memory instead of sending them
+export class StubNotifier {
+  constructor(id = 'stub', { keep = 50 } = {}) {
+    this.id = id;
+    this.keep = keep;
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push({ ...message, at: new Date() });
+    if (this.sent.length > this.keep) {
+      this.sent.shift();
+    }
+    console.log(`🔔 [${this.id}] ${message.subject}\n${message.text}`);
+  }
+
+  describe() {
+    return { id: this.id, stub: true, sent: this.sent.length };
+  }
+}
@@ -0,0 +1,37 @@
+const TELEGRAM_API = 'https://api.telegram.org';
+// Telegram rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 4096;
+
+export class TelegramNotifier {
+  constructor({ token, chatId, timeoutMs = 10000 }) {
+    if (!token || !chatId) {
+      throw new Error('Telegram notifier needs TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID');
+    }
+    this.id = 'telegram';
+    this.token = token;
+    this.chatId = chatId;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send({ subject, text }) {
+    const response = await fetch(`${TELEGRAM_API}/bot${this.token}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: this.chatId,
+        text: `${subject}\n\n${text}`.slice(0, MAX_MESSAGE_LENGTH),
+        disable_web_page_preview: true
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(`Telegram responded with HTTP ${response.status}${body.description ? `: ${body.description}` : ''}`);
+    }
+  }
+
+  describe() {
+    return { id: this.id, chatId: this.chatId };
+  }
+}
@@ -0,0 +1,40 @@
+import { signPayload } from '../webhookDispatcher.js';
+
+// POSTs alerts as JSON, signed like outbound webhooks when a secret is set
+export class WebhookNotifier {
+  constructor({ url, secret = null, timeoutMs = 10000 }) {
+    if (!url) {
+      throw new Error('Webhook notifier needs ALERT_WEBHOOK_URL');
+    }
+    this.id = 'webhook';
+    this.url = url;
+    this.secret = secret;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send({ kind, subject, text, data = null }) {
+    const body = JSON.stringify({ kind, subject, text, data, sentAt: new Date() });
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'gmail-transaction-monitor-alerts'
+    };
+    if (this.secret) {
+      headers['X-Webhook-Signature'] = signPayload(this.secret, body);
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Alert webhook responded with HTTP ${response.status}`);
+    }
+  }
+
+  describe() {
+    return { id: this.id, url: this.url, signed: !!this.secret };
+  }
+}
@@ -0,0 +1,95 @@
+import dotenv from 'dotenv';
+import { SmtpNotifier } from './SmtpNotifier.js';
+import { TelegramNotifier } from './TelegramNotifier.js';
+import { WebhookNotifier } from './WebhookNotifier.js';
+import { StubNotifier } from './StubNotifier.js';
+
+export { SmtpNotifier, TelegramNotifier, WebhookNotifier, StubNotifier };
+
+dotenv.config();
+
+const FACTORIES = {
+  smtp: env => new SmtpNotifier({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    from: env.ALERT_EMAIL_FROM,
+    to: env.ALERT_EMAIL_TO
+  }),
+  telegram: env => new TelegramNotifier({ token: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID }),
+  webhook: env => new WebhookNotifier({ url: env.ALERT_WEBHOOK_URL, secret: env.ALERT_WEBHOOK_SECRET }),
+  console: () => new StubNotifier('console')
+};
+
+export const NOTIFIER_CHANNELS = Object.keys(FACTORIES);
+
+const splitList = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+// Channels alerts are delivered through. Any channel can be swapped for a
+// StubNotifier, from ALERT_NOTIFIERS_STUB or with replace() in tests.
+class NotifierRegistry {
+  constructor() {
+    this.notifiers = new Map();
+  }
+
+  loadFromEnv(env = process.env) {
+    this.notifiers.clear();
+    const stubbed = splitList(env.ALERT_NOTIFIERS_STUB);
+
+    for (const channel of splitList(env.ALERT_NOTIFIERS)) {
+      if (!FACTORIES[channel]) {
+        console.error(`❌ Unknown alert channel "${channel}"; expected one of ${NOTIFIER_CHANNELS.join(', ')}`);
+        continue;
+      }
+      try {
+        this.register(stubbed.includes(channel) ? new StubNotifier(channel) : FACTORIES[channel](env));
+      } catch (error) {
+        console.error(`❌ Alert channel ${channel} disabled:`, error.message);
+      }
+    }
+
+    // Alerts always end up somewhere, at least in the server log
+    if (!this.notifiers.size) {
+      this.register(new StubNotifier('console'));
+    }
+    return this;
+  }
+
+  register(notifier) {
+    this.notifiers.set(notifier.id, notifier);
+    return notifier;
+  }
+
+  replace(id, notifier) {
+    this.notifiers.set(id, notifier);
+    return notifier;
+  }
+
+  get(id) {
+    return this.notifiers.get(id) || null;
+  }
+
+  getAll() {
+    return [...this.notifiers.values()];
+  }
+
+  describe() {
+    return this.getAll().map(notifier => notifier.describe());
+  }
+
+  // Sends through every channel; one failing channel does not stop the others
+  async send(message) {
+    const notifiers = this.getAll();
+    const results = await Promise.allSettled(notifiers.map(notifier => notifier.send(message)));
+
+    return results.map((result, i) => ({
+      channel: notifiers[i].id,
+      ok: result.status === 'fulfilled',
+      error: result.status === 'rejected' ? result.reason.message : null
+    }));
+  }
+}
+
+export const notifierRegistry = new NotifierRegistry();
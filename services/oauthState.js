@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { AppError } from '../utils/errors.js';
+
+dotenv.config();
+
+// Signed OAuth `state`: base64url(JSON payload) + "." + HMAC-SHA256, so the
+// callback only accepts sign-ins started from our own auth-url route
+const STATE_TTL_MS = (parseInt(process.env.OAUTH_STATE_TTL_MINUTES) || 10) * 60 * 1000;
+// Without a configured secret, states only survive until the next restart
+const STATE_SECRET = process.env.OAUTH_STATE_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Nonces already used, kept until their state would have expired anyway
+const usedNonces = new Map();
+
+function sign(data) {
+  return crypto.createHmac('sha256', STATE_SECRET).update(data).digest('base64url');
+}
+
+export function createOAuthState({ mailbox, redirectUri }) {
+  const payload = Buffer.from(JSON.stringify({
+    mailbox,
+    redirectUri,
+    nonce: crypto.randomBytes(12).toString('base64url'),
+    exp: Date.now() + STATE_TTL_MS
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+export function verifyOAuthState(state) {
+  const [payload, signature] = typeof state === 'string' ? state.split('.') : [];
+  const expected = Buffer.from(payload ? sign(payload) : '');
+  // Byte lengths, not string lengths: multibyte input must not reach timingSafeEqual
+  const given = Buffer.from(signature || '');
+
+  if (!signature || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new AppError('Invalid OAuth state; start the sign-in again', { status: 400, code: 'INVALID_STATE' });
+  }
+
+  const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const now = Date.now();
+
+  for (const [nonce, exp] of usedNonces) {
+    if (exp < now) usedNonces.delete(nonce);
+  }
+
+  if (data.exp < now) {
+    throw new AppError('OAuth sign-in link expired; start the sign-in again', { status: 400, code: 'STATE_EXPIRED' });
+  }
+  if (usedNonces.has(data.nonce)) {
+    throw new AppError('OAuth sign-in link was already used', { status: 400, code: 'INVALID_STATE' });
+  }
+  usedNonces.set(data.nonce, data.exp);
+
+  return { mailbox: data.mailbox, redirectUri: data.redirectUri };
+}
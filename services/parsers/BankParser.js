@@ -0,0 +1,87 @@
+import { matchFirst, normalizeWhitespace, parseAmount, parseCreditTime } from './utils.js';
+
+// Words and "quoted phrases" of a Gmail query, leaving out operators such
+// as from:(a OR b)
+function queryKeywords(query) {
+  const terms = query
+    .replace(/\b[a-z]+:(?:\([^)]*\)|"[^"]*"|\S+)/gi, ' ')
+    .match(/"[^"]+"|\S+/g) || [];
+  return terms
+    .map(term => term.replace(/"/g, '').toLowerCase())
+    .filter(term => term && term !== 'or');
+}
+
+export class BankParser {
+  constructor({ id, bank, source, query, senders = [], keywords, rules = {}, enabled = true }) {
+    if (!id || !query || !rules.amount || !rules.utr) {
+      throw new Error('Bank parser requires id, query and amount/utr rules');
+    }
+
+    this.id = id;
+    this.bank = bank || id.toUpperCase();
+    this.source = source || `${this.bank}_BANK`;
+    this.query = query;
+    this.senders = senders;
+    this.keywords = keywords || queryKeywords(query);
+    this.rules = rules;
+    this.enabled = enabled;
+  }
+
+  matchesSender(from) {
+    if (!this.senders.length) return true;
+    if (!from) return false;
+    return this.senders.some(sender => sender.test(from));
+  }
+
+  // Whether an email is one the parser's Gmail query would select: from the
+  // bank, with the query's keywords in the subject or body. Only these are
+  // quarantined when parsing fails; promotions, OTPs and debits are not.
+  isCandidate({ from, subject, body }) {
+    if (!this.matchesSender(from)) return false;
+    const content = normalizeWhitespace(`${subject || ''} ${body || ''}`).toLowerCase();
+    return this.keywords.every(keyword => content.includes(keyword));
+  }
+
+  parse(text) {
+    const content = normalizeWhitespace(text);
+    if (!content) return null;
+
+    const amount = parseAmount(matchFirst(content, this.rules.amount));
+    const utr = matchFirst(content, this.rules.utr);
+
+    if (amount === null || !utr) {
+      return null;
+    }
+
+    const creditedAtText = matchFirst(content, this.rules.creditedAt);
+
+    return {
+      amount,
+      utr,
+      payerVpa: matchFirst(content, this.rules.payerVpa)?.toLowerCase() || null,
+      payerName: matchFirst(content, this.rules.payerName) || null,
+      creditedAt: parseCreditTime(creditedAtText),
+      // Many alerts only give the date; callers can then prefer the email time
+      creditedAtHasTime: /\d:\d{2}/.test(creditedAtText || '')
+    };
+  }
+
+  // Which required fields the rules found, to explain why parse() gave null
+  diagnose(text) {
+    const content = normalizeWhitespace(text);
+    return {
+      amount: parseAmount(matchFirst(content, this.rules.amount)) !== null,
+      utr: !!matchFirst(content, this.rules.utr)
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      bank: this.bank,
+      source: this.source,
+      query: this.query,
+      enabled: this.enabled
+    };
+  }
+}
@@ -0,0 +1,24 @@
+import { BankParser } from './BankParser.js';
+
+// "INR 1,500.00 credited to A/c no. XX1234 on 19-10-26 at 10:30:15 IST.
+// Info- UPI/P2A/629212345678/PAYER NAME/payer@okaxis."
+export const axisParser = new BankParser({
+  id: 'axis',
+  bank: 'AXIS',
+  query: 'from:alerts@axisbank.com credited',
+  senders: [/@axisbank\.com/i],
+  rules: {
+    amount: [
+      /(?:INR|Rs\.?)\s*([\d,]+(?:\.\d{1,2})?) (?:has been )?credited/i,
+      /credited with (?:INR|Rs\.?)\s*([\d,]+(?:\.\d{1,2})?)/i
+    ],
+    utr: [
+      /UPI\/P2[AM]\/(\d{10,22})/i,
+      /UPI Ref(?:erence)?\.? No\.?:?\s*(\d{10,22})/i,
+      /RRN:?\s*(\d{10,22})/i
+    ],
+    payerVpa: [/UPI\/P2[AM]\/\d+\/[^/]*\/([\w.\-]+@[A-Za-z0-9]+)/i],
+    payerName: [/UPI\/P2[AM]\/\d+\/([^/]+)/i],
+    creditedAt: [/ on (\d{1,2}[-/]\d{1,2}[-/]\d{2,4}(?: at \d{1,2}:\d{2}(?::\d{2})?)?)/i]
+  }
+});
@@ -0,0 +1,24 @@
+import { BankParser } from './BankParser.js';
+
+// "Rs.1,500.00 is successfully credited to your account **1234 by VPA
+// payer@okaxis PAYER NAME on 19-10-26. Your UPI transaction reference number
+// is 629212345678."
+export const hdfcParser = new BankParser({
+  id: 'hdfc',
+  bank: 'HDFC',
+  query: 'from:alerts@hdfcbank.net "successfully credited to your account"',
+  senders: [/@hdfcbank\.net/i, /@hdfcbank\.com/i],
+  rules: {
+    amount: [
+      /Rs\.?\s*([\d,]+(?:\.\d{1,2})?) is successfully credited/i,
+      /INR\s*([\d,]+(?:\.\d{1,2})?) is successfully credited/i
+    ],
+    utr: [
+      /reference number is (\d{10,22})/i,
+      /UPI Ref(?:erence)?\.? No\.?:?\s*(\d{10,22})/i
+    ],
+    payerVpa: [/by VPA ([\w.\-]+@[A-Za-z0-9]+)/i],
+    payerName: [/by VPA [\w.\-]+@[A-Za-z0-9]+ (.+?) on \d{1,2}[-/]/i],
+    creditedAt: [/ on (\d{1,2}[-/]\d{1,2}[-/]\d{2,4}(?: \d{1,2}:\d{2}(?::\d{2})?)?)/i]
+  }
+});
@@ -0,0 +1,28 @@
+import { BankParser } from './BankParser.js';
+
+// "Your ICICI Bank Account XX123 has been credited with Rs 1,500.00 on
+// 19-Oct-26. Info:UPI/629212345678/PAYER NAME/payer@okicici. The Available
+// Balance is ..."
+export const iciciParser = new BankParser({
+  id: 'icici',
+  bank: 'ICICI',
+  query: 'from:(alerts@icicibank.com OR customercare@icicibank.com) credited',
+  senders: [/@icicibank\.com/i],
+  rules: {
+    amount: [
+      /credited with (?:Rs\.?|INR)\s*([\d,]+(?:\.\d{1,2})?)/i,
+      /credited:?\s*(?:Rs\.?|INR)\s*([\d,]+(?:\.\d{1,2})?)/i
+    ],
+    utr: [
+      /Info:?\s*UPI[/*-](\d{10,22})/i,
+      /UPI Ref(?:erence)?\.? No\.?:?\s*(\d{10,22})/i,
+      /RRN:?\s*(\d{10,22})/i
+    ],
+    payerVpa: [
+      /Info:?\s*UPI[/*-]\d+[/*-][^/*]*[/*-]([\w.\-]+@[A-Za-z0-9]+)/i,
+      /from VPA ([\w.\-]+@[A-Za-z0-9]+)/i
+    ],
+    payerName: [/Info:?\s*UPI[/*-]\d+[/*-]([^/*.]+)/i],
+    creditedAt: [/ on (\d{1,2}[-/\s][A-Za-z]{3}[-/\s]\d{2,4}(?: \d{1,2}:\d{2}(?::\d{2})?)?)/i]
+  }
+});
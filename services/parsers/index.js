@@ -0,0 +1,104 @@
+import dotenv from 'dotenv';
+import { hdfcParser } from './hdfc.js';
+import { iciciParser } from './icici.js';
+import { sbiParser } from './sbi.js';
+import { axisParser } from './axis.js';
+import { kotakParser } from './kotak.js';
+
+export { BankParser } from './BankParser.js';
+
+dotenv.config();
+
+class ParserRegistry {
+  constructor() {
+    this.parsers = new Map();
+  }
+
+  register(parser) {
+    if (this.parsers.has(parser.id)) {
+      throw new Error(`Parser "${parser.id}" is already registered`);
+    }
+    this.parsers.set(parser.id, parser);
+    return parser;
+  }
+
+  get(id) {
+    return this.parsers.get(id) || null;
+  }
+
+  getAll() {
+    return Array.from(this.parsers.values());
+  }
+
+  getEnabled() {
+    return this.getAll().filter(parser => parser.enabled);
+  }
+
+  setEnabled(id, enabled) {
+    const parser = this.get(id);
+    if (!parser) {
+      throw new Error(`Unknown parser "${id}"`);
+    }
+    parser.enabled = !!enabled;
+    return parser;
+  }
+
+  // ENABLED_PARSERS=hdfc,icici restricts monitoring to the listed banks
+  configureFromEnv(value = process.env.ENABLED_PARSERS) {
+    if (!value) return;
+
+    const ids = value.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+    for (const parser of this.getAll()) {
+      parser.enabled = ids.includes(parser.id);
+    }
+  }
+
+  // Runs the given parsers (all enabled ones by default) against an email and
+  // returns the first successful extraction tagged with its parser
+  parse(text, { from, parsers = this.getEnabled() } = {}) {
+    for (const parser of parsers) {
+      if (from !== undefined && !parser.matchesSender(from)) {
+        continue;
+      }
+
+      const result = parser.parse(text);
+      if (result) {
+        return { ...result, parser: parser.id, source: parser.source };
+      }
+    }
+    return null;
+  }
+
+  // Dry run of every registered parser, enabled or not, for validating
+  // templates without storing anything
+  preview(text, { from } = {}) {
+    return this.getAll().map(parser => {
+      const senderMatches = from === undefined || from === null ? null : parser.matchesSender(from);
+      let result = null;
+      let error = null;
+
+      try {
+        result = parser.parse(text);
+      } catch (err) {
+        error = err.message;
+      }
+
+      return {
+        parser: parser.id,
+        bank: parser.bank,
+        enabled: parser.enabled,
+        senderMatches,
+        matched: !!result,
+        result,
+        error
+      };
+    });
+  }
+}
+
+export const parserRegistry = new ParserRegistry();
+
+[hdfcParser, iciciParser, sbiParser, axisParser, kotakParser]
+  .forEach(parser => parserRegistry.register(parser));
+
+parserRegistry.configureFromEnv();
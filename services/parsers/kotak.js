@@ -0,0 +1,23 @@
+import { BankParser } from './BankParser.js';
+
+// "Rs.1,500.00 is credited to your Kotak Bank a/c XX1234 on 19-10-26 via UPI
+// from payer@okhdfcbank. UPI Ref: 629212345678."
+export const kotakParser = new BankParser({
+  id: 'kotak',
+  bank: 'KOTAK',
+  query: 'from:(bankalerts@kotak.com OR bankalerts@kotak.bank.in) credited',
+  senders: [/@kotak\.com/i, /@kotak\.bank\.in/i],
+  rules: {
+    amount: [
+      /(?:Rs\.?|INR)\s*([\d,]+(?:\.\d{1,2})?) is credited/i,
+      /received (?:Rs\.?|INR)\s*([\d,]+(?:\.\d{1,2})?)/i
+    ],
+    utr: [
+      /UPI Ref(?:erence)?(?:\.? No\.?)?:?\s*(\d{10,22})/i,
+      /RRN:?\s*(\d{10,22})/i
+    ],
+    payerVpa: [/from (?:VPA )?([\w.\-]+@[A-Za-z0-9]+)/i],
+    payerName: [/from ([A-Za-z][A-Za-z .]+?) \(?[\w.\-]+@[A-Za-z0-9]+/i],
+    creditedAt: [/ on (\d{1,2}[-/]\d{1,2}[-/]\d{2,4}(?: \d{1,2}:\d{2}(?::\d{2})?)?)/i]
+  }
+});
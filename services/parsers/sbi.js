@@ -0,0 +1,23 @@
+import { BankParser } from './BankParser.js';
+
+// "Dear Customer, your A/c X1234 is credited by Rs.1,500.00 on 19-10-26 by
+// a/c linked to VPA payer@oksbi (UPI Ref No 629212345678)."
+export const sbiParser = new BankParser({
+  id: 'sbi',
+  bank: 'SBI',
+  query: 'from:alerts.sbi.co.in credited',
+  senders: [/alerts\.sbi\.co\.in/i, /@sbi\.co\.in/i],
+  rules: {
+    amount: [
+      /credited by (?:Rs\.?|INR)\s*([\d,]+(?:\.\d{1,2})?)/i,
+      /credit by \w+ of (?:Rs\.?|INR)\s*([\d,]+(?:\.\d{1,2})?)/i
+    ],
+    utr: [
+      /UPI Ref\.? No\.?:?\s*(\d{10,22})/i,
+      /Ref(?:erence)? No\.?:?\s*(\d{10,22})/i
+    ],
+    payerVpa: [/linked to VPA ([\w.\-]+@[A-Za-z0-9]+)/i],
+    payerName: [/transfer from ([A-Za-z][A-Za-z .]+?)(?: Ref| on |[.(])/i],
+    creditedAt: [/ on (\d{1,2}[-/]\d{1,2}[-/]\d{2,4}|\d{1,2}[A-Za-z]{3}\d{2,4})/i]
+  }
+});
@@ -0,0 +1,70 @@
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Bank alerts are always written in IST
+const IST_OFFSET_MINUTES = 330;
+
+export function parseAmount(value) {
+  if (value === undefined || value === null) return null;
+  const amount = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(amount) ? amount : null;
+}
+
+export function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Returns the first capture group of the first pattern that matches
+export function matchFirst(text, patterns = []) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match && match[1] !== undefined) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+// Parses dates like 19-10-26, 19/10/2026, 19-Oct-26, 19 Oct 2026 or 19Oct26
+// with an optional HH:MM[:SS] time, interpreted as IST
+export function parseCreditTime(value) {
+  if (!value) return null;
+
+  // Named months may be written without separators (SBI's 19Oct26)
+  const match = value.match(
+    /(\d{1,2})(?:[-/\s]?([A-Za-z]{3,9})|[-/\s](\d{1,2}))[-/\s,]*(\d{2,4})(?:[\s,]*(?:at\s*)?(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?/i
+  );
+  if (!match) return null;
+
+  const [, day, monthName, monthNumber, yearPart, hourPart, minute = '0', second = '0', meridiem] = match;
+  const monthPart = monthName || monthNumber;
+
+  const month = /^\d+$/.test(monthPart)
+    ? parseInt(monthPart, 10) - 1
+    : MONTHS[monthPart.slice(0, 3).toLowerCase()];
+  if (month === undefined || month < 0 || month > 11) return null;
+
+  let year = parseInt(yearPart, 10);
+  if (year < 100) year += 2000;
+
+  let hour = hourPart ? parseInt(hourPart, 10) : 0;
+  if (meridiem) {
+    const isPm = meridiem.toUpperCase() === 'PM';
+    if (isPm && hour < 12) hour += 12;
+    if (!isPm && hour === 12) hour = 0;
+  }
+
+  const utcMillis = Date.UTC(
+    year,
+    month,
+    parseInt(day, 10),
+    hour,
+    parseInt(minute, 10),
+    parseInt(second, 10)
+  ) - IST_OFFSET_MINUTES * 60 * 1000;
+
+  const date = new Date(utcMillis);
+  return isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,227 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { PaymentIntent, INTENT_STATUSES, OPEN_INTENT_STATUSES } from '../models/PaymentIntent.js';
+import { Transaction } from '../models/Transaction.js';
+import { AppError } from '../utils/errors.js';
+import { claimUTR } from './claims.js';
+import { EVENTS, emitEvent } from '../utils/eventBus.js';
+
+dotenv.config();
+
+const MINUTE_MS = 60 * 1000;
+
+class PaymentIntentService {
+  constructor() {
+    this.defaultTtlMinutes = parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES) || 30;
+    this.sweepInterval = null;
+  }
+
+  async create({ orderId, amount, customerRef = null, expiresInMinutes }) {
+    const existing = await PaymentIntent.findOpenForOrder(orderId);
+    if (existing) {
+      throw new AppError('An open payment intent already exists for this order', {
+        status: 409,
+        code: 'INTENT_EXISTS',
+        details: { intentId: existing._id }
+      });
+    }
+
+    const ttl = expiresInMinutes || this.defaultTtlMinutes;
+    const intent = new PaymentIntent({
+      orderId,
+      amount,
+      customerRef,
+      expiresAt: new Date(Date.now() + ttl * MINUTE_MS)
+    });
+
+    return intent.save();
+  }
+
+  async get(id) {
+    const intent = mongoose.isValidObjectId(id) ? await PaymentIntent.findById(id) : null;
+    if (!intent) {
+      throw new AppError('Payment intent not found', { status: 404, code: 'INTENT_NOT_FOUND' });
+    }
+    return intent;
+  }
+
+  list(status, limit = 50) {
+    if (status && !INTENT_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of ${INTENT_STATUSES.join(', ')}`, {
+        status: 400,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    return PaymentIntent.findByStatus(status, limit);
+  }
+
+  async submitUTR(id, utr) {
+    const intent = await this.get(id);
+
+    // Resubmitting the same UTR just reports the current state
+    if (intent.utr === utr) {
+      return intent;
+    }
+
+    if (intent.status !== 'awaiting_utr') {
+      throw new AppError(`Payment intent is ${intent.status}`, { status: 409, code: 'INTENT_NOT_OPEN' });
+    }
+
+    if (intent.expiresAt <= new Date()) {
+      await PaymentIntent.releaseUTR(intent._id, OPEN_INTENT_STATUSES, { status: 'expired' });
+      throw new AppError('Payment intent has expired', { status: 410, code: 'INTENT_EXPIRED' });
+    }
+
+    let pending;
+    try {
+      pending = await PaymentIntent.findOneAndUpdate(
+        { _id: intent._id, status: 'awaiting_utr' },
+        { utr, status: 'pending', utrSubmittedAt: new Date() },
+        { new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('UTR is already attached to another payment intent', {
+          status: 409,
+          code: 'UTR_IN_USE'
+        });
+      }
+      throw error;
+    }
+
+    if (!pending) {
+      throw new AppError('Payment intent is no longer open', { status: 409, code: 'INTENT_NOT_OPEN' });
+    }
+
+    // A rejected UTR (wrong amount, already claimed) is handed back to the
+    // customer straight away so they can submit the right one
+    return this.tryResolve(pending, { reopenOnReject: true });
+  }
+
+  async cancel(id) {
+    const intent = await this.get(id);
+    const cancelled = await PaymentIntent.releaseUTR(intent._id, OPEN_INTENT_STATUSES, { status: 'cancelled' });
+
+    if (!cancelled) {
+      throw new AppError(`Payment intent is ${intent.status}`, { status: 409, code: 'INTENT_NOT_OPEN' });
+    }
+    return cancelled;
+  }
+
+  // Called when a new credit is stored; resolves the intent waiting on its UTR
+  async resolveForTransaction(transaction) {
+    const intent = await PaymentIntent.findPendingByUTR(transaction.utr);
+    if (!intent) {
+      return null;
+    }
+
+    if (intent.expiresAt <= new Date()) {
+      await PaymentIntent.releaseUTR(intent._id, ['pending'], { status: 'expired' });
+      return null;
+    }
+
+    const result = await this.tryResolve(intent);
+    console.log(`💳 Payment intent ${intent._id} for order ${intent.orderId} is ${result.status}`);
+    return result;
+  }
+
+  async tryResolve(intent, { reopenOnReject = false } = {}) {
+    try {
+      const { transaction } = await claimUTR(intent.utr, {
+        orderId: intent.orderId,
+        amount: intent.amount,
+        claimedBy: intent.customerRef
+      });
+
+      const resolved = await PaymentIntent.findOneAndUpdate(
+        { _id: intent._id, status: 'pending' },
+        { status: 'resolved', transactionId: transaction._id, resolvedAt: new Date() },
+        { new: true }
+      );
+
+      if (!resolved) {
+        return PaymentIntent.findById(intent._id);
+      }
+      emitEvent(EVENTS.PAYMENT_INTENT_RESOLVED, resolved.toJSON());
+      return resolved;
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+
+      // Credit email not received yet; stay pending until it is
+      if (error.code === 'UTR_NOT_FOUND') {
+        return intent;
+      }
+
+      // Held for fraud review; the sweep resolves it once the flag is dismissed
+      if (error.code === 'CLAIM_BLOCKED' && !reopenOnReject) {
+        return intent;
+      }
+
+      if (reopenOnReject) {
+        await PaymentIntent.releaseUTR(intent._id, ['pending'], {
+          status: 'awaiting_utr',
+          utrSubmittedAt: null
+        });
+        throw error;
+      }
+
+      const failed = await PaymentIntent.releaseUTR(intent._id, ['pending'], {
+        status: 'failed',
+        failureCode: error.code,
+        failureReason: error.message
+      });
+
+      if (failed) {
+        emitEvent(EVENTS.PAYMENT_INTENT_FAILED, failed.toJSON());
+      }
+      return failed || PaymentIntent.findById(intent._id);
+    }
+  }
+
+  async expireOverdue() {
+    const result = await PaymentIntent.expireOverdue();
+    if (result.modifiedCount > 0) {
+      console.log(`⌛ Expired ${result.modifiedCount} payment intents`);
+    }
+    return result.modifiedCount;
+  }
+
+  // Retries pending intents whose credit is already stored, in case the
+  // resolve attempt after saving it failed
+  async resolveStragglers() {
+    const pending = await PaymentIntent.find({ status: 'pending', expiresAt: { $gt: new Date() } });
+
+    for (const intent of pending) {
+      const transaction = await Transaction.findByUTR(intent.utr);
+      if (transaction) {
+        await this.tryResolve(intent);
+      }
+    }
+  }
+
+  async sweep() {
+    await this.expireOverdue();
+    await this.resolveStragglers();
+  }
+
+  startExpirySweep(intervalMs = MINUTE_MS) {
+    if (this.sweepInterval) return;
+
+    this.sweepInterval = setInterval(() => {
+      this.sweep().catch(error => {
+        console.error('❌ Error sweeping payment intents:', error.message);
+      });
+    }, intervalMs);
+  }
+
+  stopExpirySweep() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+      this.sweepInterval = null;
+    }
+  }
+}
+
+export const paymentIntentService = new PaymentIntentService();
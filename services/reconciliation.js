@@ -0,0 +1,226 @@
+import { Transaction } from '../models/Transaction.js';
+import { ArchivedTransaction } from '../models/ArchivedTransaction.js';
+import { parseStatement } from './statements/index.js';
+import { parserRegistry } from './parsers/index.js';
+import { paymentIntentService } from './paymentIntents.js';
+import { fraudDetection } from './fraudDetection.js';
+import { auditLog, AUDIT_ACTIONS } from './auditLog.js';
+import { EVENTS, emitEvent } from '../utils/eventBus.js';
+import { AppError } from '../utils/errors.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// UTR lookups are batched to keep $in lists reasonable
+const LOOKUP_BATCH = 1000;
+
+function summarizeTransaction(transaction) {
+  return {
+    id: transaction._id,
+    utr: transaction.utr,
+    amount: transaction.amount,
+    status: transaction.status,
+    timestamp: transaction.timestamp,
+    source: transaction.source,
+    mailbox: transaction.mailbox,
+    origin: transaction.origin || 'email'
+  };
+}
+
+// Matches bank statement credits against stored transactions by UTR and
+// amount, and optionally imports the credits no email was received for
+class Reconciliation {
+  resolveSource(bank, statementSource) {
+    if (!bank) return statementSource;
+    return parserRegistry.get(String(bank).toLowerCase())?.source || String(bank).toUpperCase();
+  }
+
+  async findByUTRs(utrs) {
+    const found = new Map();
+    for (let i = 0; i < utrs.length; i += LOOKUP_BATCH) {
+      const transactions = await Transaction.find({ utr: { $in: utrs.slice(i, i + LOOKUP_BATCH) } });
+      for (const transaction of transactions) {
+        found.set(transaction.utr, transaction);
+      }
+    }
+    return found;
+  }
+
+  // UTRs that are no longer live but still taken: soft-deleted transactions
+  // keep their UTR, and archived UTRs are never recorded again
+  async findRetiredUTRs(utrs) {
+    const deleted = new Map();
+    const archived = new Map();
+    for (let i = 0; i < utrs.length; i += LOOKUP_BATCH) {
+      const batch = utrs.slice(i, i + LOOKUP_BATCH);
+      for (const transaction of await Transaction.find({ utr: { $in: batch }, deletedAt: { $ne: null } })) {
+        deleted.set(transaction.utr, transaction);
+      }
+      for (const transaction of await ArchivedTransaction.find({ utr: { $in: batch } })) {
+        archived.set(transaction.utr, transaction);
+      }
+    }
+    return { deleted, archived };
+  }
+
+  async reconcile(text, { format, bank, mailbox = null, importMissing = false } = {}) {
+    if (!text || !String(text).trim()) {
+      throw new AppError('Statement file is empty', { status: 400, code: 'VALIDATION_ERROR' });
+    }
+
+    const statement = parseStatement(String(text), { format });
+    const source = this.resolveSource(bank, statement.source);
+
+    const report = {
+      format: statement.format,
+      source,
+      statement: { credits: statement.credits.length, skipped: statement.skipped, from: null, to: null },
+      matched: [],
+      missingFromEmail: [],
+      amountMismatched: [],
+      emailOnly: [],
+      // On the statement, but the transaction was deleted or archived
+      deleted: [],
+      archived: [],
+      // Credit lines that cannot be matched: no UTR, or a UTR repeated
+      unidentified: []
+    };
+
+    const seen = new Set();
+    const credits = [];
+    for (const credit of statement.credits) {
+      if (!credit.utr || seen.has(credit.utr)) {
+        report.unidentified.push({
+          ...credit,
+          reason: credit.utr ? 'UTR appears more than once on the statement' : 'No UTR found on the statement line'
+        });
+        continue;
+      }
+      seen.add(credit.utr);
+      credits.push(credit);
+    }
+
+    const existing = await this.findByUTRs([...seen]);
+    const retired = await this.findRetiredUTRs([...seen].filter(utr => !existing.has(utr)));
+
+    for (const credit of credits) {
+      const transaction = existing.get(credit.utr);
+
+      if (retired.deleted.has(credit.utr)) {
+        const deleted = retired.deleted.get(credit.utr);
+        report.deleted.push({ ...credit, deletedAt: deleted.deletedAt, transaction: summarizeTransaction(deleted) });
+      } else if (retired.archived.has(credit.utr)) {
+        const archived = retired.archived.get(credit.utr);
+        report.archived.push({ ...credit, archivedAt: archived.archivedAt, transaction: summarizeTransaction(archived.toTransaction()) });
+      } else if (!transaction) {
+        report.missingFromEmail.push({ ...credit, imported: false });
+      } else if (transaction.matchesAmount(credit.amount)) {
+        report.matched.push({ ...credit, transaction: summarizeTransaction(transaction) });
+      } else {
+        report.amountMismatched.push({
+          ...credit,
+          difference: Math.round((credit.amount - transaction.amount) * 100) / 100,
+          transaction: summarizeTransaction(transaction)
+        });
+      }
+    }
+
+    // Statement dates are whole IST days; email-only covers every credit
+    // recorded from the first day's start to the last day's end. Without a
+    // bank (generic statements) every bank's credits would be listed, so it
+    // is left out (null) instead.
+    const dates = statement.credits.map(credit => credit.date.getTime());
+    if (dates.length) {
+      const from = new Date(dates.reduce((min, t) => Math.min(min, t)));
+      const to = new Date(dates.reduce((max, t) => Math.max(max, t)) + DAY_MS - 1);
+      report.statement.from = from;
+      report.statement.to = to;
+    }
+    if (!source) {
+      report.emailOnly = null;
+    } else if (dates.length) {
+      const query = {
+        timestamp: { $gte: report.statement.from, $lte: report.statement.to },
+        utr: { $nin: [...seen] },
+        source
+      };
+      if (mailbox) query.mailbox = mailbox;
+
+      const emailOnly = await Transaction.find(query).sort({ timestamp: 1 });
+      report.emailOnly = emailOnly.map(summarizeTransaction);
+    }
+
+    if (importMissing) {
+      for (const entry of report.missingFromEmail) {
+        entry.imported = await this.importCredit(entry, { source, mailbox, format: statement.format });
+      }
+    }
+
+    report.summary = {
+      matched: report.matched.length,
+      missingFromEmail: report.missingFromEmail.length,
+      amountMismatched: report.amountMismatched.length,
+      emailOnly: report.emailOnly ? report.emailOnly.length : null,
+      deleted: report.deleted.length,
+      archived: report.archived.length,
+      unidentified: report.unidentified.length,
+      imported: report.missingFromEmail.filter(entry => entry.imported).length
+    };
+
+    await auditLog.record(AUDIT_ACTIONS.STATEMENT_RECONCILED, {
+      metadata: {
+        format: statement.format,
+        source,
+        mailbox,
+        from: report.statement.from,
+        to: report.statement.to,
+        ...report.summary
+      }
+    });
+
+    return report;
+  }
+
+  // Records a statement credit as a transaction; false if the UTR was
+  // saved in the meantime (e.g. the alert email arrived) or archived
+  async importCredit(credit, { source, mailbox, format }) {
+    if (await ArchivedTransaction.exists({ utr: credit.utr })) return false;
+
+    const transaction = new Transaction({
+      amount: credit.amount,
+      utr: credit.utr,
+      timestamp: credit.date,
+      source: source || 'OTHER',
+      parser: `statement:${format}`,
+      origin: 'statement',
+      mailbox,
+      payerVpa: credit.payerVpa,
+      metadata: {
+        creditedAt: credit.date,
+        rawContent: credit.description || null
+      }
+    });
+
+    try {
+      await transaction.save();
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+
+    await auditLog.recordTransaction(AUDIT_ACTIONS.TRANSACTION_CREATED, {
+      after: transaction.toJSON(),
+      metadata: { origin: 'statement', format, statementRow: credit.row }
+    });
+    emitEvent(EVENTS.TRANSACTION_CREATED, transaction.toJSON());
+    await fraudDetection.screenCredit(transaction);
+
+    try {
+      await paymentIntentService.resolveForTransaction(transaction);
+    } catch (error) {
+      console.error('❌ Error resolving payment intent:', error.message);
+    }
+
+    return true;
+  }
+}
+
+export const reconciliation = new Reconciliation();
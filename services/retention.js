@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { Transaction } from '../models/Transaction.js';
+import { ArchivedTransaction } from '../models/ArchivedTransaction.js';
+import { ProcessedMessage } from '../models/ProcessedMessage.js';
+import { SyncState } from '../models/SyncState.js';
+import { AppError } from '../utils/errors.js';
+import { getContext } from '../utils/requestContext.js';
+import { auditLog, AUDIT_ACTIONS } from './auditLog.js';
+
+dotenv.config();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const ARCHIVE_BATCH = 500;
+const MAX_BULK_DELETE = 500;
+const PURGE_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+export const PURGE_SCOPES = ['deleted', 'archive', 'all'];
+
+// Days from env; "off" or 0 turns that part of the retention job off
+function parseDays(value, fallback) {
+  if (value === 'off') return null;
+  const days = value === undefined ? fallback : parseInt(value);
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+function invalid(message) {
+  return new AppError(message, { status: 400, code: 'VALIDATION_ERROR' });
+}
+
+const currentActor = () => getContext()?.actor || 'system';
+
+// Soft deletion and restore of single transactions, the scheduled job that
+// moves old and deleted ones to the archive, and the admin-only purge
+class TransactionRetention {
+  constructor() {
+    this.retentionDays = parseDays(process.env.TRANSACTION_RETENTION_DAYS, 365);
+    this.deletedRetentionDays = parseDays(process.env.DELETED_RETENTION_DAYS, 30);
+    this.intervalMs = (parseInt(process.env.RETENTION_INTERVAL_HOURS) || 24) * HOUR_MS;
+    this.interval = null;
+    this.running = false;
+    this.lastRun = null;
+    // Confirmation tokens for pending purges, by token
+    this.purgeTokens = new Map();
+  }
+
+  start() {
+    if (this.interval) return;
+
+    const run = () => this.run().catch(error => {
+      console.error('❌ Error archiving transactions:', error.message);
+    });
+    this.interval = setInterval(run, this.intervalMs);
+    run();
+
+    console.log(`🗄️ Retention: archive after ${this.retentionDays ? `${this.retentionDays} days` : 'never'}, deleted after ${this.deletedRetentionDays ? `${this.deletedRetentionDays} days` : 'never'}`);
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  getSettings() {
+    return {
+      retentionDays: this.retentionDays,
+      deletedRetentionDays: this.deletedRetentionDays,
+      intervalHours: this.intervalMs / HOUR_MS,
+      lastRun: this.lastRun
+    };
+  }
+
+  async softDelete(utr, reason) {
+    const transaction = await Transaction.findByUTR(utr);
+    if (!transaction) {
+      throw new AppError('Transaction not found', { status: 404, code: 'UTR_NOT_FOUND' });
+    }
+    // A claimed credit backs an order; release it first
+    if (transaction.status === 'claimed') {
+      throw new AppError('Unclaim the transaction before deleting it', { status: 409, code: 'TRANSACTION_CLAIMED' });
+    }
+
+    const before = transaction.toJSON();
+    const deleted = await Transaction.softDelete(utr, { actor: currentActor(), reason });
+    if (!deleted) {
+      throw new AppError('Transaction was changed concurrently, please retry', { status: 409, code: 'CONCURRENT_UPDATE' });
+    }
+
+    await auditLog.recordTransaction(AUDIT_ACTIONS.TRANSACTION_DELETED, {
+      before,
+      after: deleted.toJSON(),
+      metadata: { reason }
+    });
+    return deleted;
+  }
+
+  // One outcome per UTR; a failing UTR does not stop the rest
+  async softDeleteMany(utrs, reason) {
+    if (!Array.isArray(utrs) || !utrs.length || utrs.some(utr => typeof utr !== 'string' || !utr.trim())) {
+      throw invalid('utrs must be a non-empty array of UTRs');
+    }
+    if (utrs.length > MAX_BULK_DELETE) {
+      throw invalid(`At most ${MAX_BULK_DELETE} UTRs can be deleted at once`);
+    }
+
+    const results = [];
+    for (const utr of new Set(utrs.map(u => u.trim().toUpperCase()))) {
+      try {
+        await this.softDelete(utr, reason);
+        results.push({ utr, deleted: true });
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        results.push({ utr, deleted: false, code: error.code, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Brings a transaction back from soft deletion or from the archive
+  async restore(utr, reason) {
+    const deleted = await Transaction.findOne({ utr, deletedAt: { $ne: null } });
+    if (deleted) {
+      const restored = await Transaction.undelete(utr);
+      if (!restored) {
+        throw new AppError('Transaction was changed concurrently, please retry', { status: 409, code: 'CONCURRENT_UPDATE' });
+      }
+      await auditLog.recordTransaction(AUDIT_ACTIONS.TRANSACTION_RESTORED, {
+        before: deleted.toJSON(),
+        after: restored.toJSON(),
+        metadata: { reason, from: 'deleted' }
+      });
+      return restored;
+    }
+
+    const archived = await ArchivedTransaction.findOne({ utr });
+    if (!archived) {
+      throw new AppError('No deleted or archived transaction with this UTR', { status: 404, code: 'UTR_NOT_FOUND' });
+    }
+
+    // Archived while deleted means restoring undoes both
+    const document = { ...archived.toTransaction(), deletedAt: null, deletedBy: null, deleteReason: null };
+    try {
+      await Transaction.collection.insertOne(document);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new AppError('A live transaction with this UTR already exists', { status: 409, code: 'UTR_EXISTS' });
+      }
+      throw error;
+    }
+    await ArchivedTransaction.deleteOne({ _id: archived._id });
+
+    const restored = await Transaction.findById(archived._id);
+    await auditLog.recordTransaction(AUDIT_ACTIONS.TRANSACTION_RESTORED, {
+      before: archived.toJSON(),
+      after: restored.toJSON(),
+      metadata: { reason, from: 'archive' }
+    });
+    return restored;
+  }
+
+  listDeleted({ before, limit = 50 } = {}) {
+    return Transaction.findDeleted({ before: this.parseCursor(before), limit });
+  }
+
+  listArchived({ utr, before, limit = 50 } = {}) {
+    return ArchivedTransaction.findRecent({
+      utr: utr ? String(utr).trim().toUpperCase() : null,
+      before: this.parseCursor(before),
+      limit
+    });
+  }
+
+  parseCursor(before) {
+    if (before && !/^[a-f0-9]{24}$/i.test(before)) {
+      throw invalid('before must be a transaction ID');
+    }
+    return before || null;
+  }
+
+  // Moves transactions credited before the retention window, and ones
+  // deleted longer ago than the deleted retention window, to the archive.
+  // Open disputes stay until they are resolved.
+  async run() {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const now = Date.now();
+      let expired = 0;
+      let deleted = 0;
+
+      if (this.retentionDays) {
+        expired = await this.archiveMatching({
+          timestamp: { $lt: new Date(now - this.retentionDays * DAY_MS) },
+          status: { $ne: 'disputed' }
+        });
+      }
+      if (this.deletedRetentionDays) {
+        deleted = await this.archiveMatching({
+          deletedAt: { $lte: new Date(now - this.deletedRetentionDays * DAY_MS) }
+        });
+      }
+
+      this.lastRun = { at: new Date(now), archived: expired + deleted, expired, deleted };
+      if (expired + deleted) {
+        console.log(`🗄️ Archived ${expired + deleted} transactions (${expired} past retention, ${deleted} deleted)`);
+        await auditLog.record(AUDIT_ACTIONS.TRANSACTIONS_ARCHIVED, {
+          entityType: 'transaction',
+          metadata: { expired, deleted, retentionDays: this.retentionDays, deletedRetentionDays: this.deletedRetentionDays }
+        });
+      }
+      return this.lastRun;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Copies to the archive before deleting, so an interrupted run never
+  // loses a transaction
+  async archiveMatching(query) {
+    let archived = 0;
+
+    for (;;) {
+      const batch = await Transaction.find(query).sort({ timestamp: 1 }).limit(ARCHIVE_BATCH).lean();
+      if (!batch.length) break;
+
+      await ArchivedTransaction.archive(batch);
+      const result = await Transaction.collection.deleteMany({ _id: { $in: batch.map(t => t._id) } });
+      archived += result.deletedCount;
+    }
+    return archived;
+  }
+
+  // What a purge of `scope` would remove; `before` limits an archive purge
+  // to records archived before that date
+  async countPurge(scope, before) {
+    if (scope === 'deleted') {
+      return { transactions: await Transaction.countDocuments({ deletedAt: { $ne: null } }) };
+    }
+    if (scope === 'archive') {
+      return { archived: await ArchivedTransaction.countDocuments(before ? { archivedAt: { $lt: before } } : {}) };
+    }
+    return {
+      transactions: await Transaction.collection.countDocuments(),
+      archived: await ArchivedTransaction.countDocuments(),
+      processedMessages: await ProcessedMessage.countDocuments()
+    };
+  }
+
+  // First step of a purge: returns what would be removed and a single-use
+  // token, valid for a few minutes and only for the same actor
+  async requestPurge({ scope, before } = {}) {
+    if (!PURGE_SCOPES.includes(scope)) {
+      throw invalid(`scope must be one of ${PURGE_SCOPES.join(', ')}`);
+    }
+
+    let beforeDate = null;
+    if (before !== undefined && before !== null) {
+      if (scope !== 'archive') {
+        throw invalid('before only applies to the archive scope');
+      }
+      beforeDate = new Date(before);
+      if (isNaN(beforeDate.getTime())) {
+        throw invalid('before must be a date');
+      }
+    }
+
+    const now = Date.now();
+    for (const [token, pending] of this.purgeTokens) {
+      if (pending.expiresAt <= now) this.purgeTokens.delete(token);
+    }
+
+    const counts = await this.countPurge(scope, beforeDate);
+    const confirmationToken = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = now + PURGE_TOKEN_TTL_MS;
+    this.purgeTokens.set(confirmationToken, { scope, before: beforeDate, actor: currentActor(), expiresAt });
+
+    return { scope, before: beforeDate, counts, confirmationToken, expiresAt: new Date(expiresAt) };
+  }
+
+  // Second step: permanently removes what the token was issued for
+  async purge(confirmationToken) {
+    if (!confirmationToken) {
+      throw new AppError('Purging requires a confirmationToken from POST /api/transactions/purge', {
+        status: 400,
+        code: 'CONFIRMATION_REQUIRED'
+      });
+    }
+
+    const pending = this.purgeTokens.get(confirmationToken);
+    if (!pending || pending.actor !== currentActor()) {
+      throw new AppError('Invalid confirmation token', { status: 400, code: 'INVALID_CONFIRMATION_TOKEN' });
+    }
+    this.purgeTokens.delete(confirmationToken);
+    if (pending.expiresAt <= Date.now()) {
+      throw new AppError('Confirmation token expired; request a new one', { status: 400, code: 'CONFIRMATION_EXPIRED' });
+    }
+
+    const { scope, before } = pending;
+    const removed = {};
+
+    if (scope === 'deleted') {
+      removed.transactions = (await Transaction.collection.deleteMany({ deletedAt: { $ne: null } })).deletedCount;
+    } else if (scope === 'archive') {
+      removed.archived = (await ArchivedTransaction.deleteMany(before ? { archivedAt: { $lt: before } } : {})).deletedCount;
+    } else {
+      removed.transactions = (await Transaction.collection.deleteMany({})).deletedCount;
+      removed.archived = (await ArchivedTransaction.deleteMany({})).deletedCount;
+      // Every mailbox re-scans from scratch
+      removed.processedMessages = (await ProcessedMessage.deleteMany({})).deletedCount;
+      await SyncState.resetAll();
+    }
+
+    console.log(`🧹 Purged ${scope}:`, JSON.stringify(removed));
+    await auditLog.record(AUDIT_ACTIONS.TRANSACTIONS_PURGED, {
+      entityType: 'transaction',
+      metadata: { scope, before, removed }
+    });
+    return { scope, before, removed };
+  }
+}
+
+export const transactionRetention = new TransactionRetention();
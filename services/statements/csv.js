@@ -0,0 +1,55 @@
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF/LF line
+// endings. Bank exports use commas or tabs, so the delimiter is detected
+// from the first lines.
+export function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/, 20).join('\n');
+  const count = char => sample.split(char).length - 1;
+  return count('\t') > count(',') ? '\t' : ',';
+}
+
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Excel adds a byte order mark to UTF-8 exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(cell => cell !== ''));
+}
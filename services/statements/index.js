@@ -0,0 +1,165 @@
+import { parseCSV } from './csv.js';
+import { parseAmount, parseCreditTime } from '../parsers/utils.js';
+import { AppError } from '../../utils/errors.js';
+
+// Header names are compared lowercased with everything but letters and
+// digits removed, so "Chq./Ref.No." and "Chq/Ref Number" both work
+const normalizeHeader = header => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Statement layouts. `columns` lists accepted header names per field;
+// `required` fields must all be present for the layout to be detected.
+const FORMATS = [
+  {
+    // Net banking "Delimited" download and the XLS layout saved as CSV
+    id: 'hdfc',
+    source: 'HDFC_BANK',
+    required: ['date', 'description', 'credit'],
+    columns: {
+      date: ['Date'],
+      description: ['Narration'],
+      reference: ['Chq/Ref Number', 'Chq./Ref.No.'],
+      credit: ['Credit Amount', 'Deposit Amt.'],
+      debit: ['Debit Amount', 'Withdrawal Amt.']
+    }
+  },
+  {
+    id: 'icici',
+    source: 'ICICI_BANK',
+    required: ['date', 'description', 'credit'],
+    columns: {
+      date: ['Transaction Date', 'Value Date'],
+      description: ['Transaction Remarks'],
+      reference: ['Cheque Number', 'Cheque. No./Ref. No.'],
+      credit: ['Deposit Amount (INR )', 'Deposit Amt (INR)'],
+      debit: ['Withdrawal Amount (INR )', 'Withdrawal Amt (INR)']
+    }
+  },
+  {
+    // Any CSV with a date, an amount and a UTR or description column
+    id: 'generic',
+    source: null,
+    required: ['date', 'credit'],
+    columns: {
+      date: ['Date', 'Transaction Date', 'Txn Date', 'Value Date'],
+      utr: ['UTR', 'UTR Number', 'UTR No', 'Reference', 'Reference Number', 'Ref No', 'RRN'],
+      description: ['Description', 'Narration', 'Remarks', 'Particulars'],
+      credit: ['Credit', 'Credit Amount', 'Deposit', 'Amount'],
+      debit: ['Debit', 'Debit Amount', 'Withdrawal'],
+      type: ['Type', 'Cr/Dr', 'Dr/Cr'],
+      payerVpa: ['VPA', 'Payer VPA', 'UPI ID']
+    }
+  }
+];
+
+export const STATEMENT_FORMATS = FORMATS.map(format => format.id);
+
+// Banks put a few lines of account details above the real header
+const HEADER_SEARCH_ROWS = 40;
+
+function mapColumns(format, header) {
+  const normalized = header.map(normalizeHeader);
+  const mapping = {};
+
+  for (const [field, names] of Object.entries(format.columns)) {
+    const index = names.map(normalizeHeader).map(name => normalized.indexOf(name)).find(i => i !== -1);
+    if (index !== undefined) mapping[field] = index;
+  }
+
+  return format.required.every(field => mapping[field] !== undefined) ? mapping : null;
+}
+
+function detectLayout(rows, formatId) {
+  const candidates = formatId ? FORMATS.filter(f => f.id === formatId) : FORMATS;
+
+  for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_ROWS); i++) {
+    for (const format of candidates) {
+      const mapping = mapColumns(format, rows[i]);
+      if (mapping) return { format, mapping, headerRow: i };
+    }
+  }
+  return null;
+}
+
+// UPI references are 12 digits; NEFT/RTGS UTRs are 16-22 characters
+// starting with the bank code (IFSCs, at 11, are too short to match)
+const UPI_REFERENCE = /(?:^|[^0-9])(\d{12})(?![0-9])/;
+const NEFT_UTR = /\b([A-Z]{4}[A-Z0-9]{12,18})\b/;
+// Narrations separate fields with "-" or "/", so hyphenated VPAs cannot be
+// told apart from their neighbours and are not picked up
+const VPA = /^[\w.]+@[a-z][a-z0-9]*$/i;
+
+function extractVPA(description) {
+  return description.split(/[-/\s|]+/).find(token => VPA.test(token))?.toLowerCase() || null;
+}
+
+export function extractUTR(description = '', reference = '') {
+  const upi = description.match(UPI_REFERENCE);
+  if (upi) return upi[1];
+
+  // HDFC zero-pads UPI references to 16 digits in Chq/Ref Number
+  const ref = reference.replace(/^0+/, '');
+  if (/^\d{12}$/.test(ref) || NEFT_UTR.test(ref)) return ref.toUpperCase();
+
+  const neft = description.toUpperCase().match(NEFT_UTR);
+  return neft ? neft[1] : null;
+}
+
+function parseStatementDate(value) {
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return iso ? parseCreditTime(`${iso[3]}-${iso[2]}-${iso[1]}`) : parseCreditTime(value);
+}
+
+// Credit lines of a bank statement CSV:
+// { format, source, credits: [{ row, date, amount, utr, payerVpa, description }], skipped }
+// `row` counts non-blank rows from 1, header and preamble included
+export function parseStatement(text, { format: formatId } = {}) {
+  if (formatId && !STATEMENT_FORMATS.includes(formatId)) {
+    throw new AppError(`format must be one of ${STATEMENT_FORMATS.join(', ')}`, { status: 400, code: 'VALIDATION_ERROR' });
+  }
+
+  const rows = parseCSV(text);
+  const layout = detectLayout(rows, formatId);
+  if (!layout) {
+    throw new AppError('Could not find a statement header row with date and credit amount columns', {
+      status: 422,
+      code: 'STATEMENT_UNRECOGNIZED'
+    });
+  }
+
+  const { format, mapping, headerRow } = layout;
+  const cell = (row, field) => mapping[field] === undefined ? '' : (row[mapping[field]] || '');
+  const credits = [];
+  let skipped = 0;
+
+  for (let i = headerRow + 1; i < rows.length; i++) {
+    const row = rows[i];
+    const date = parseStatementDate(cell(row, 'date'));
+    let amount = parseAmount(cell(row, 'credit').replace(/\s*(cr|inr)\.?$/i, ''));
+
+    // Generic files may have a single signed or typed amount column
+    const type = cell(row, 'type').toLowerCase();
+    if (/^(dr|debit|d)$/.test(type) || parseAmount(cell(row, 'debit'))) {
+      amount = null;
+    }
+
+    // Footer lines, debits and opening balances have no positive credit
+    if (!date || !amount || amount <= 0) {
+      skipped++;
+      continue;
+    }
+
+    const description = cell(row, 'description');
+    const utr = cell(row, 'utr').toUpperCase() || extractUTR(description, cell(row, 'reference'));
+
+    credits.push({
+      row: i + 1,
+      date,
+      amount,
+      utr: utr || null,
+      payerVpa: cell(row, 'payerVpa').toLowerCase() || extractVPA(description),
+      description
+    });
+  }
+
+  return { format: format.id, source: format.source, credits, skipped };
+}
@@ -0,0 +1,203 @@
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+// Cycle durations kept for the average and maximum
+const DURATION_SAMPLES = 50;
+
+// Milliseconds from a Retry-After header (seconds or HTTP date), if any
+function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return 0;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * SECOND_MS;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
+
+// Gmail answers quota problems with 429, or 403 rateLimitExceeded
+export function isQuotaError(error) {
+  const status = error.code || error.response?.status;
+  return status === 429 || (status === 403 && /rate ?limit/i.test(error.message || ''));
+}
+
+// Runs a sync task one cycle at a time: the next cycle is scheduled only
+// after the previous one finished, failures back off exponentially with
+// jitter, and every cycle is timed for health reporting.
+export class SyncScheduler {
+  constructor(task, { label, maxBackoffMs } = {}) {
+    this.task = task;
+    this.label = label;
+    this.maxBackoffMs = maxBackoffMs || (parseInt(process.env.SYNC_BACKOFF_MAX_SECONDS) || 900) * SECOND_MS;
+
+    this.intervalMs = 30 * SECOND_MS;
+    this.periodic = false;
+    this.staleAfterMs = null;
+    this.active = false;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.running = null;
+    this.queued = false;
+
+    this.startedAt = null;
+    this.lastRunAt = null;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+    this.totalRuns = 0;
+    this.totalFailures = 0;
+    this.backoffMs = 0;
+    this.durations = [];
+  }
+
+  // `periodic` runs a cycle every intervalMs; otherwise cycles only run
+  // when triggered (push mode) or to retry a failure
+  start({ intervalMs, periodic = true, staleAfterMs = null }) {
+    this.intervalMs = intervalMs;
+    this.periodic = periodic;
+    this.staleAfterMs = staleAfterMs;
+    this.active = true;
+    this.startedAt = new Date();
+    this.consecutiveFailures = 0;
+    this.backoffMs = 0;
+    return this.trigger();
+  }
+
+  stop() {
+    this.active = false;
+    this.clearTimer();
+  }
+
+  setPeriodic(periodic) {
+    this.periodic = periodic;
+    if (!this.active || this.running || this.consecutiveFailures) return;
+
+    if (periodic && !this.timer) {
+      this.schedule(this.intervalMs);
+    } else if (!periodic) {
+      this.clearTimer();
+    }
+  }
+
+  // Runs a cycle now. While one is running, one more is queued to follow
+  // it; while backing off, the retry already scheduled stands.
+  trigger() {
+    if (!this.active) return Promise.resolve();
+
+    if (this.running) {
+      this.queued = true;
+      return this.running;
+    }
+    if (this.consecutiveFailures && this.timer) {
+      return Promise.resolve();
+    }
+
+    this.clearTimer();
+    this.running = this.run().finally(() => {
+      this.running = null;
+      this.afterRun();
+    });
+    return this.running;
+  }
+
+  async run() {
+    const started = Date.now();
+    this.lastRunAt = new Date(started);
+    this.totalRuns++;
+    this.queued = false;
+
+    try {
+      await this.task();
+      this.lastSuccessAt = new Date();
+      this.consecutiveFailures = 0;
+      this.backoffMs = 0;
+    } catch (error) {
+      this.lastFailureAt = new Date();
+      this.lastError = { message: error.message, code: error.code || error.response?.status || null, quota: isQuotaError(error) };
+      this.consecutiveFailures++;
+      this.totalFailures++;
+      this.backoffMs = this.getBackoffDelay(error);
+
+      if (this.active) {
+        console.error(`⏳ Sync of ${this.label} failed ${this.consecutiveFailures} time(s) in a row; retrying in ${Math.round(this.backoffMs / SECOND_MS)}s`);
+      } else {
+        console.error(`⏸️ Sync of ${this.label} failed and was stopped: ${error.message}`);
+      }
+    } finally {
+      this.durations.push(Date.now() - started);
+      if (this.durations.length > DURATION_SAMPLES) this.durations.shift();
+    }
+  }
+
+  afterRun() {
+    if (!this.active) return;
+
+    if (this.consecutiveFailures) {
+      this.schedule(this.backoffMs);
+    } else if (this.queued) {
+      this.trigger();
+    } else if (this.periodic) {
+      this.schedule(this.intervalMs);
+    }
+  }
+
+  // interval * 2^(failures - 1), capped, with "equal jitter" (half fixed,
+  // half random) so several mailboxes or instances do not retry in step.
+  // A Retry-After from Google is always honoured.
+  getBackoffDelay(error) {
+    const exponential = Math.min(this.maxBackoffMs, this.intervalMs * 2 ** (this.consecutiveFailures - 1));
+    const jittered = exponential / 2 + Math.random() * exponential / 2;
+    return Math.round(Math.max(jittered, retryAfterMs(error)));
+  }
+
+  schedule(delayMs) {
+    this.clearTimer();
+    this.nextRunAt = new Date(Date.now() + delayMs);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.nextRunAt = null;
+      this.trigger();
+    }, delayMs);
+  }
+
+  clearTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  // Stale: no successful cycle for staleAfterMs while running
+  isStale() {
+    if (!this.active || !this.staleAfterMs) return false;
+    const lastGood = this.lastSuccessAt || this.startedAt;
+    return Date.now() - lastGood.getTime() > this.staleAfterMs;
+  }
+
+  getStats() {
+    const durations = this.durations;
+    return {
+      active: this.active,
+      running: !!this.running,
+      periodic: this.periodic,
+      intervalSeconds: this.intervalMs / SECOND_MS,
+      startedAt: this.startedAt,
+      lastRunAt: this.lastRunAt,
+      lastSuccessAt: this.lastSuccessAt,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError,
+      consecutiveFailures: this.consecutiveFailures,
+      totalRuns: this.totalRuns,
+      totalFailures: this.totalFailures,
+      backoffSeconds: this.consecutiveFailures ? Math.round(this.backoffMs / SECOND_MS) : 0,
+      nextRunAt: this.nextRunAt,
+      durationMs: {
+        last: durations.length ? durations[durations.length - 1] : null,
+        average: durations.length ? Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length) : null,
+        max: durations.length ? Math.max(...durations) : null
+      },
+      staleAfterMinutes: this.staleAfterMs ? Math.round(this.staleAfterMs / MINUTE_MS * 10) / 10 : null,
+      stale: this.isStale()
+    };
+  }
+}
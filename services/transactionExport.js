@@ -0,0 +1,236 @@
+import { once } from 'events';
+import { Transaction, TRANSACTION_STATUSES, SETTLED_STATUSES } from '../models/Transaction.js';
+import { transactionSearch } from './transactionSearch.js';
+import { AppError } from '../utils/errors.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const TIMEZONES = {
+  ist: { offsetMs: IST_OFFSET_MS, suffix: '+05:30' },
+  utc: { offsetMs: 0, suffix: 'Z' }
+};
+
+// Exportable columns: header label and how to read the value from a lean
+// transaction document
+const COLUMNS = {
+  creditedAt: { label: 'Credited At', type: 'date', get: t => t.timestamp },
+  utr: { label: 'UTR', type: 'text', get: t => t.utr },
+  amount: { label: 'Amount', type: 'amount', get: t => t.amount },
+  status: { label: 'Status', type: 'text', get: t => t.status },
+  statusReason: { label: 'Status Reason', type: 'text', get: t => t.statusReason },
+  source: { label: 'Bank', type: 'text', get: t => t.source },
+  parser: { label: 'Parser', type: 'text', get: t => t.parser },
+  origin: { label: 'Origin', type: 'text', get: t => t.origin || 'email' },
+  mailbox: { label: 'Mailbox', type: 'text', get: t => t.mailbox },
+  payerVpa: { label: 'Payer VPA', type: 'text', get: t => t.payerVpa },
+  payerName: { label: 'Payer Name', type: 'text', get: t => t.payerName },
+  orderId: { label: 'Order ID', type: 'text', get: t => t.orderId },
+  claimedBy: { label: 'Claimed By', type: 'text', get: t => t.claimedBy },
+  claimedAt: { label: 'Claimed At', type: 'date', get: t => t.claimedAt },
+  emailSubject: { label: 'Email Subject', type: 'text', get: t => t.metadata?.emailSubject },
+  emailFrom: { label: 'Email From', type: 'text', get: t => t.metadata?.emailFrom },
+  emailId: { label: 'Gmail Message ID', type: 'text', get: t => t.emailId },
+  createdAt: { label: 'Recorded At', type: 'date', get: t => t.createdAt }
+};
+
+const DEFAULT_COLUMNS = ['creditedAt', 'utr', 'amount', 'status', 'source', 'payerVpa', 'payerName', 'orderId', 'claimedAt', 'mailbox'];
+
+// csv: plain RFC 4180; excel-csv: a .csv that Excel opens correctly (UTF-8
+// BOM, long UTRs kept as text), not an .xlsx workbook; ndjson: one JSON
+// object per line
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  'excel-csv': { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+const FORMAT_ALIASES = { jsonl: 'ndjson' };
+
+function invalid(message) {
+  return new AppError(message, { status: 400, code: 'VALIDATION_ERROR' });
+}
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Streams transactions matching the search filters without loading them
+// all into memory
+class TransactionExport {
+  getColumns() {
+    return Object.entries(COLUMNS).map(([id, column]) => ({
+      id,
+      label: column.label,
+      default: DEFAULT_COLUMNS.includes(id)
+    }));
+  }
+
+  // Validates the request up front so errors can still be sent as JSON
+  prepare(params = {}) {
+    const requested = String(params.format || 'csv').toLowerCase();
+    const format = FORMAT_ALIASES[requested] || requested;
+    if (!FORMATS[format]) {
+      throw invalid(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    const columns = params.columns
+      ? String(params.columns).split(',').map(c => c.trim()).filter(Boolean)
+      : DEFAULT_COLUMNS;
+    const unknown = columns.filter(c => !COLUMNS[c]);
+    if (!columns.length || unknown.length) {
+      throw invalid(`Unknown columns: ${unknown.join(', ') || '(none given)'}; see GET /api/transactions/export/columns`);
+    }
+
+    const timezone = String(params.timezone || 'ist').toLowerCase();
+    if (!TIMEZONES[timezone]) {
+      throw invalid('timezone must be ist or utc');
+    }
+
+    const order = params.order || 'asc';
+    if (!['asc', 'desc'].includes(order)) {
+      throw invalid('order must be asc or desc');
+    }
+
+    const filters = transactionSearch.parseFilters(params);
+    const day = date => date ? this.formatDate(date, timezone).slice(0, 10) : null;
+    const range = [day(filters.startDate) || 'start', day(filters.endDate) || 'now'].join('_');
+
+    return {
+      format,
+      columns,
+      timezone,
+      order,
+      totals: params.totals !== 'false',
+      filters,
+      query: Transaction.buildSearchQuery(filters),
+      contentType: FORMATS[format].contentType,
+      filename: `transactions_${range}.${FORMATS[format].extension}`
+    };
+  }
+
+  // "2026-03-31 18:45:00" for spreadsheets, ISO 8601 with offset for NDJSON
+  formatDate(date, timezone, { iso = false } = {}) {
+    if (!date) return null;
+    const { offsetMs, suffix } = TIMEZONES[timezone];
+    const shifted = new Date(new Date(date).getTime() + offsetMs).toISOString().slice(0, 19);
+    return iso ? `${shifted}${suffix}` : shifted.replace('T', ' ');
+  }
+
+  formatValue(column, value, job) {
+    if (value === null || value === undefined) return null;
+    if (column.type === 'date') {
+      return this.formatDate(value, job.timezone, { iso: job.format === 'ndjson' });
+    }
+    if (column.type === 'amount' && job.format !== 'ndjson') {
+      return value.toFixed(2);
+    }
+    return value;
+  }
+
+  formatRow(transaction, job) {
+    const values = job.columns.map(id => this.formatValue(COLUMNS[id], COLUMNS[id].get(transaction), job));
+
+    if (job.format === 'ndjson') {
+      return `${JSON.stringify(Object.fromEntries(job.columns.map((id, i) => [id, values[i]])))}\n`;
+    }
+
+    return `${values.map((value, i) => {
+      // Excel shows long digit-only UTRs in scientific notation otherwise
+      if (job.format === 'excel-csv' && job.columns[i] === 'utr' && /^\d{12,}$/.test(value || '')) {
+        return `"=""${value}"""`;
+      }
+      return csvCell(value);
+    }).join(',')}\r\n`;
+  }
+
+  formatTotals(totals, job) {
+    if (job.format === 'ndjson') {
+      return `${JSON.stringify({ totals })}\n`;
+    }
+
+    const rows = [
+      ...TRANSACTION_STATUSES
+        .filter(status => totals.byStatus[status].count)
+        .map(status => [`Total ${status} (${totals.byStatus[status].count})`, totals.byStatus[status].total]),
+      [`Settled total (${SETTLED_STATUSES.join('/')})`, totals.settledAmount],
+      [`Grand total (${totals.count})`, totals.amount]
+    ];
+
+    // Amounts go in the amount column when it is exported, labels in the first
+    const amountIndex = job.columns.indexOf('amount');
+    const width = amountIndex > 0 ? job.columns.length : 2;
+    const lines = rows.map(([label, amount]) => {
+      const cells = new Array(width).fill('');
+      cells[0] = csvCell(label);
+      cells[amountIndex > 0 ? amountIndex : 1] = amount.toFixed(2);
+      return cells.join(',');
+    });
+
+    return `\r\n${lines.join('\r\n')}\r\n`;
+  }
+
+  // Writes the export to a writable stream, honouring backpressure; stops
+  // early if `signal` is aborted (client went away)
+  async write(job, output, { signal } = {}) {
+    const write = async chunk => {
+      if (!output.write(chunk)) {
+        await once(output, 'drain', { signal });
+      }
+    };
+
+    if (job.format === 'excel-csv') {
+      await write('\uFEFF');
+    }
+    if (job.format !== 'ndjson') {
+      await write(`${job.columns.map(id => csvCell(COLUMNS[id].label)).join(',')}\r\n`);
+    }
+
+    const byStatus = Object.fromEntries(TRANSACTION_STATUSES.map(status => [status, { total: 0, count: 0 }]));
+    const direction = job.order === 'desc' ? -1 : 1;
+    const cursor = Transaction.find(job.query)
+      .sort({ timestamp: direction, _id: direction })
+      .lean()
+      .cursor({ batchSize: 1000 });
+
+    let rows = 0;
+    try {
+      for await (const transaction of cursor) {
+        if (signal?.aborted) break;
+        await write(this.formatRow(transaction, job));
+
+        const bucket = byStatus[transaction.status];
+        if (bucket) {
+          bucket.total += transaction.amount;
+          bucket.count += 1;
+        }
+        rows += 1;
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    if (job.totals && !signal?.aborted) {
+      // Summed in floating point, so round back to the paisa
+      const round = amount => Math.round(amount * 100) / 100;
+      for (const bucket of Object.values(byStatus)) {
+        bucket.total = round(bucket.total);
+      }
+
+      const all = Object.values(byStatus);
+      await write(this.formatTotals({
+        count: all.reduce((sum, s) => sum + s.count, 0),
+        amount: round(all.reduce((sum, s) => sum + s.total, 0)),
+        settledAmount: round(SETTLED_STATUSES.reduce((sum, status) => sum + byStatus[status].total, 0)),
+        byStatus
+      }, job));
+    }
+
+    return { rows, aborted: !!signal?.aborted };
+  }
+}
+
+export const transactionExport = new TransactionExport();
@@ -0,0 +1,104 @@
+import { Transaction, STATUS_TRANSITIONS } from '../models/Transaction.js';
+import { AppError } from '../utils/errors.js';
+import { EVENTS, emitEvent } from '../utils/eventBus.js';
+import { getContext } from '../utils/requestContext.js';
+import { auditLog, AUDIT_ACTIONS } from './auditLog.js';
+
+const CLEARED_CLAIM = { orderId: null, claimedBy: null, claimedAt: null };
+
+// Admin-driven status changes after a credit has been received or claimed
+class TransactionLifecycle {
+  async changeStatus(utr, to, { action, reason, from = null, set = {}, metadata = {} }) {
+    const transaction = await Transaction.findByUTR(utr);
+    if (!transaction) {
+      throw new AppError('Transaction not found', { status: 404, code: 'UTR_NOT_FOUND' });
+    }
+
+    const allowedFrom = from || Object.keys(STATUS_TRANSITIONS);
+    if (!allowedFrom.includes(transaction.status) || !transaction.canTransitionTo(to)) {
+      throw new AppError(`Cannot change a ${transaction.status} transaction to ${to}`, {
+        status: 409,
+        code: 'INVALID_TRANSITION',
+        details: { status: transaction.status, allowed: STATUS_TRANSITIONS[transaction.status] }
+      });
+    }
+
+    const before = transaction.toJSON();
+    const updated = await Transaction.transition(utr, {
+      from: transaction.status,
+      to,
+      reason,
+      actor: getContext()?.actor || 'system',
+      set
+    });
+
+    if (!updated) {
+      throw new AppError('Transaction was changed concurrently, please retry', {
+        status: 409,
+        code: 'CONCURRENT_UPDATE'
+      });
+    }
+
+    const after = updated.toJSON();
+    await auditLog.recordTransaction(action, { before, after, metadata: { reason, ...metadata } });
+    emitEvent(EVENTS.TRANSACTION_STATUS_CHANGED, { ...after, previousStatus: before.status });
+
+    return updated;
+  }
+
+  unclaim(utr, reason) {
+    return this.changeStatus(utr, 'received', {
+      action: AUDIT_ACTIONS.TRANSACTION_UNCLAIMED,
+      reason,
+      from: ['claimed'],
+      set: CLEARED_CLAIM
+    });
+  }
+
+  void(utr, reason) {
+    return this.changeStatus(utr, 'voided', {
+      action: AUDIT_ACTIONS.TRANSACTION_VOIDED,
+      reason
+    });
+  }
+
+  refund(utr, reason, refundReference = null) {
+    return this.changeStatus(utr, 'refunded', {
+      action: AUDIT_ACTIONS.TRANSACTION_REFUNDED,
+      reason,
+      metadata: { refundReference }
+    });
+  }
+
+  dispute(utr, reason) {
+    return this.changeStatus(utr, 'disputed', {
+      action: AUDIT_ACTIONS.TRANSACTION_DISPUTED,
+      reason,
+      from: ['received', 'claimed']
+    });
+  }
+
+  // Outcome is the status the transaction ends up in: back to received or
+  // claimed, or refunded/voided
+  async resolveDispute(utr, outcome, reason) {
+    if (outcome === 'claimed') {
+      const transaction = await Transaction.findByUTR(utr);
+      if (transaction && !transaction.orderId) {
+        throw new AppError('Only a transaction claimed before the dispute can be restored to claimed', {
+          status: 409,
+          code: 'INVALID_TRANSITION'
+        });
+      }
+    }
+
+    return this.changeStatus(utr, outcome, {
+      action: AUDIT_ACTIONS.TRANSACTION_DISPUTE_RESOLVED,
+      reason,
+      from: ['disputed'],
+      set: outcome === 'received' ? CLEARED_CLAIM : {},
+      metadata: { outcome }
+    });
+  }
+}
+
+export const transactionLifecycle = new TransactionLifecycle();
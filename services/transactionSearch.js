@@ -0,0 +1,187 @@
+import mongoose from 'mongoose';
+import { Transaction, TRANSACTION_STATUSES, TRANSACTION_ORIGINS, SEARCH_SORT_FIELDS } from '../models/Transaction.js';
+import { parserRegistry } from './parsers/index.js';
+import { AppError } from '../utils/errors.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DATE_SORT_FIELDS = ['timestamp', 'createdAt'];
+
+function invalid(message) {
+  return new AppError(message, { status: 400, code: 'VALIDATION_ERROR' });
+}
+
+function parseAmount(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw invalid(`${name} must be a non-negative number`);
+  }
+  return amount;
+}
+
+function parseDate(value, name) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw invalid(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+// Turns query-string parameters into validated filters and page options
+// for Transaction.buildSearchQuery/searchPage
+class TransactionSearch {
+  parseFilters(params = {}) {
+    const filters = {};
+
+    if (params.utr) {
+      filters.utr = String(params.utr).trim().toUpperCase();
+    }
+    if (params.utrPrefix) {
+      const prefix = String(params.utrPrefix).trim().toUpperCase();
+      if (!/^[A-Z0-9]{1,22}$/.test(prefix)) {
+        throw invalid('utrPrefix must be 1-22 letters or digits');
+      }
+      filters.utrPrefix = prefix;
+    }
+
+    filters.amount = parseAmount(params.amount, 'amount');
+    filters.minAmount = parseAmount(params.minAmount, 'minAmount');
+    filters.maxAmount = parseAmount(params.maxAmount, 'maxAmount');
+    if (filters.minAmount !== undefined && filters.maxAmount !== undefined && filters.minAmount > filters.maxAmount) {
+      throw invalid('minAmount cannot be greater than maxAmount');
+    }
+
+    if (params.status) {
+      const statuses = String(params.status).split(',').map(s => s.trim()).filter(Boolean);
+      const unknown = statuses.filter(s => !TRANSACTION_STATUSES.includes(s));
+      if (unknown.length) {
+        throw invalid(`Unknown status: ${unknown.join(', ')}`);
+      }
+      filters.status = statuses;
+    }
+
+    if (params.claimed !== undefined && params.claimed !== '') {
+      if (!['true', 'false'].includes(String(params.claimed))) {
+        throw invalid('claimed must be true or false');
+      }
+      filters.claimed = String(params.claimed) === 'true';
+    }
+
+    filters.startDate = parseDate(params.startDate, 'startDate');
+    filters.endDate = parseDate(params.endDate, 'endDate');
+
+    if (params.payerVpa) {
+      filters.payerVpa = String(params.payerVpa).trim().toLowerCase();
+    }
+
+    // A parser ID ("hdfc") or a stored source ("HDFC_BANK")
+    if (params.bank) {
+      const bank = String(params.bank).trim();
+      filters.source = parserRegistry.get(bank.toLowerCase())?.source || bank.toUpperCase();
+    }
+
+    if (params.mailbox) {
+      filters.mailbox = String(params.mailbox).trim();
+    }
+
+    if (params.origin) {
+      if (!TRANSACTION_ORIGINS.includes(params.origin)) {
+        throw invalid(`origin must be one of ${TRANSACTION_ORIGINS.join(', ')}`);
+      }
+      filters.origin = params.origin;
+    }
+
+    return filters;
+  }
+
+  parsePage(params = {}) {
+    const sort = params.sort || 'timestamp';
+    if (!SEARCH_SORT_FIELDS.includes(sort)) {
+      throw invalid(`sort must be one of ${SEARCH_SORT_FIELDS.join(', ')}`);
+    }
+
+    const order = params.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+      throw invalid('order must be asc or desc');
+    }
+
+    const limit = params.limit === undefined ? DEFAULT_LIMIT : parseInt(params.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw invalid('limit must be a positive integer');
+    }
+
+    return {
+      sort,
+      order,
+      limit: Math.min(limit, MAX_LIMIT),
+      after: params.cursor ? this.decodeCursor(params.cursor, sort) : null
+    };
+  }
+
+  // Opaque cursor: the sort field's value and _id of the last row
+  encodeCursor(transaction, sort) {
+    const value = transaction[sort];
+    return Buffer.from(JSON.stringify({
+      sort,
+      value: value instanceof Date ? value.toISOString() : value,
+      id: String(transaction._id)
+    })).toString('base64url');
+  }
+
+  decodeCursor(cursor, sort) {
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw invalid('cursor is invalid');
+    }
+
+    if (data?.sort !== sort || !mongoose.isValidObjectId(data.id)) {
+      throw invalid('cursor is invalid or was issued for a different sort');
+    }
+
+    // The value goes straight into the page query, so only a plain date or
+    // number of the sort field's type is accepted
+    let value;
+    if (DATE_SORT_FIELDS.includes(sort)) {
+      value = typeof data.value === 'string' ? new Date(data.value) : null;
+      if (!value || isNaN(value.getTime())) {
+        throw invalid('cursor is invalid');
+      }
+    } else {
+      value = data.value;
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw invalid('cursor is invalid');
+      }
+    }
+
+    return {
+      value,
+      id: new mongoose.Types.ObjectId(data.id)
+    };
+  }
+
+  async search(params = {}) {
+    const query = Transaction.buildSearchQuery(this.parseFilters(params));
+    const page = this.parsePage(params);
+
+    const [transactions, totals] = await Promise.all([
+      Transaction.searchPage(query, page),
+      Transaction.getSearchTotals(query)
+    ]);
+
+    const last = transactions[transactions.length - 1];
+    return {
+      transactions: transactions.map(t => t.toJSON()),
+      count: transactions.length,
+      totals,
+      sort: page.sort,
+      order: page.order,
+      nextCursor: transactions.length === page.limit ? this.encodeCursor(last, page.sort) : null
+    };
+  }
+}
+
+export const transactionSearch = new TransactionSearch();
@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { WebhookEndpoint } from '../models/WebhookEndpoint.js';
+import { WebhookDelivery, DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { AppError } from '../utils/errors.js';
+import { EVENTS, eventBus } from '../utils/eventBus.js';
+
+dotenv.config();
+
+const SECOND_MS = 1000;
+const BASE_RETRY_DELAY_MS = 30 * SECOND_MS;
+const MAX_RETRY_DELAY_MS = 60 * 60 * SECOND_MS;
+// How long a delivery is reserved by the worker attempting it
+const ATTEMPT_LEASE_MS = 60 * SECOND_MS;
+
+export const WEBHOOK_EVENTS = [
+  EVENTS.TRANSACTION_CREATED,
+  EVENTS.TRANSACTION_CLAIMED,
+  EVENTS.TRANSACTION_STATUS_CHANGED,
+  EVENTS.PAYMENT_INTENT_RESOLVED,
+  EVENTS.PAYMENT_INTENT_FAILED,
+  EVENTS.FRAUD_FLAGGED
+];
+
+// Signature header: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+class WebhookDispatcher {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * SECOND_MS;
+    this.workerInterval = null;
+    this.processing = false;
+    this.listeners = new Map();
+  }
+
+  start(intervalMs = 10 * SECOND_MS) {
+    if (this.workerInterval) return;
+
+    for (const event of WEBHOOK_EVENTS) {
+      const listener = data => {
+        this.enqueue(event, data).catch(error => {
+          console.error(`❌ Error queueing ${event} webhooks:`, error.message);
+        });
+      };
+      this.listeners.set(event, listener);
+      eventBus.on(event, listener);
+    }
+
+    this.workerInterval = setInterval(() => {
+      this.processDue();
+    }, intervalMs);
+  }
+
+  stop() {
+    for (const [event, listener] of this.listeners) {
+      eventBus.off(event, listener);
+    }
+    this.listeners.clear();
+
+    if (this.workerInterval) {
+      clearInterval(this.workerInterval);
+      this.workerInterval = null;
+    }
+  }
+
+  async createEndpoint({ url, events = ['*'], secret, description = null }) {
+    const unknown = events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length) {
+      throw new AppError(`Unknown webhook events: ${unknown.join(', ')}`, {
+        status: 400,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const endpoint = new WebhookEndpoint({
+      url,
+      events,
+      description,
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`
+    });
+    await endpoint.save();
+
+    return { ...endpoint.toJSON(), secret: endpoint.secret };
+  }
+
+  listEndpoints() {
+    return WebhookEndpoint.find().sort({ createdAt: -1 });
+  }
+
+  async deleteEndpoint(id) {
+    const endpoint = mongoose.isValidObjectId(id) ? await WebhookEndpoint.findByIdAndDelete(id) : null;
+    if (!endpoint) {
+      throw new AppError('Webhook endpoint not found', { status: 404, code: 'WEBHOOK_NOT_FOUND' });
+    }
+    return endpoint;
+  }
+
+  async enqueue(event, data) {
+    const endpoints = await WebhookEndpoint.findSubscribed(event);
+    if (!endpoints.length) {
+      return [];
+    }
+
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      endpointId: endpoint._id,
+      event,
+      payload: data
+    })));
+
+    // Deliver right away rather than waiting for the next worker tick
+    this.processDue();
+    return deliveries;
+  }
+
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let due;
+      do {
+        due = await WebhookDelivery.findDue();
+        for (const delivery of due) {
+          await this.attempt(delivery);
+        }
+      } while (due.length > 0);
+    } catch (error) {
+      console.error('❌ Error processing webhook deliveries:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async attempt(delivery) {
+    const now = new Date();
+
+    // Reserve the delivery so a concurrent worker does not send it twice
+    const reserved = await WebhookDelivery.findOneAndUpdate(
+      { _id: delivery._id, status: 'pending', nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: new Date(now.getTime() + ATTEMPT_LEASE_MS) },
+      { new: true }
+    );
+    if (!reserved) return;
+
+    const endpoint = await WebhookEndpoint.findById(reserved.endpointId);
+    if (!endpoint || !endpoint.active) {
+      reserved.status = 'failed';
+      reserved.lastError = 'Webhook endpoint was removed or disabled';
+      await reserved.save();
+      return;
+    }
+
+    const body = JSON.stringify({
+      id: reserved._id,
+      event: reserved.event,
+      createdAt: reserved.createdAt,
+      data: reserved.payload
+    });
+
+    reserved.attempts += 1;
+    reserved.lastAttemptAt = now;
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'gmail-transaction-monitor-webhooks',
+          'X-Webhook-Id': String(reserved._id),
+          'X-Webhook-Event': reserved.event,
+          'X-Webhook-Signature': signPayload(endpoint.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      reserved.lastResponseStatus = response.status;
+
+      if (response.ok) {
+        reserved.status = 'succeeded';
+        reserved.deliveredAt = new Date();
+        reserved.lastError = null;
+      } else {
+        this.scheduleRetry(reserved, `Endpoint responded with HTTP ${response.status}`);
+      }
+    } catch (error) {
+      reserved.lastResponseStatus = null;
+      this.scheduleRetry(reserved, error.message);
+    }
+
+    await reserved.save();
+  }
+
+  scheduleRetry(delivery, reason) {
+    delivery.lastError = reason;
+
+    if (delivery.attempts >= this.maxAttempts) {
+      delivery.status = 'failed';
+      console.log(`⚠️ Webhook ${delivery._id} (${delivery.event}) failed after ${delivery.attempts} attempts: ${reason}`);
+      return;
+    }
+
+    const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (delivery.attempts - 1), MAX_RETRY_DELAY_MS);
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+  }
+
+  listDeliveries({ status, endpointId, limit = 50 } = {}) {
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw new AppError(`status must be one of ${DELIVERY_STATUSES.join(', ')}`, {
+        status: 400,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    return WebhookDelivery.findRecent({ status, endpointId, limit });
+  }
+
+  // Starts a fresh retry cycle for a delivery. Deliveries that already
+  // succeeded are only sent again with `force`.
+  async redeliver(id, { force = false } = {}) {
+    const delivery = mongoose.isValidObjectId(id) ? await WebhookDelivery.findById(id) : null;
+    if (!delivery) {
+      throw new AppError('Webhook delivery not found', { status: 404, code: 'DELIVERY_NOT_FOUND' });
+    }
+    if (delivery.status === 'succeeded' && !force) {
+      throw new AppError('Delivery already succeeded; pass force to send it again', {
+        status: 409,
+        code: 'DELIVERY_SUCCEEDED'
+      });
+    }
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date();
+    delivery.lastError = null;
+    await delivery.save();
+
+    // Delivered by the worker; the caller does not wait for the queue
+    this.processDue();
+    return delivery;
+  }
+}
+
+export const webhookDispatcher = new WebhookDispatcher();
@@ -0,0 +1,33 @@
+// Page shown in the browser at the end of the Gmail OAuth flow
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+export function renderAuthPage({ success, title, message }) {
+  const color = success ? '#1e8e3e' : '#d93025';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f5f5f5; display: flex; justify-content: center; padding-top: 15vh; margin: 0; }
+    main { background: #fff; border-top: 4px solid ${color}; border-radius: 6px; box-shadow: 0 1px 4px rgba(0,0,0,.15); padding: 2rem; max-width: 28rem; }
+    h1 { color: ${color}; font-size: 1.4rem; margin-top: 0; }
+    p { color: #333; line-height: 1.5; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${success ? '✅' : '❌'} ${escapeHtml(title)}</h1>
+    <p>${escapeHtml(message)}</p>
+  </main>
+</body>
+</html>`;
+}
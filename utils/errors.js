@@ -0,0 +1,26 @@
+// Errors carrying an HTTP status and a stable machine-readable code that
+// routes pass straight through to API clients
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null } = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      ...(this.details ? { details: this.details } : {})
+    };
+  }
+}
+
+export function sendError(res, error) {
+  if (error instanceof AppError) {
+    return res.status(error.status).json(error.toJSON());
+  }
+  return res.status(500).json({ error: error.message });
+}
@@ -0,0 +1,27 @@
+import { EventEmitter } from 'events';
+
+export const EVENTS = {
+  TRANSACTION_CREATED: 'transaction.created',
+  TRANSACTION_CLAIMED: 'transaction.claimed',
+  TRANSACTION_STATUS_CHANGED: 'transaction.status_changed',
+  PAYMENT_INTENT_RESOLVED: 'payment_intent.resolved',
+  PAYMENT_INTENT_FAILED: 'payment_intent.failed',
+  MONITOR_STARTED: 'monitor.started',
+  MONITOR_STOPPED: 'monitor.stopped',
+  MONITOR_AUTH_FAILED: 'monitor.auth_failed',
+  FRAUD_FLAGGED: 'fraud.flagged'
+};
+
+// In-process bus for domain events; webhooks and other listeners subscribe
+// here instead of being called from the code that changes state
+export const eventBus = new EventEmitter();
+eventBus.setMaxListeners(50);
+
+// Listener errors must never break the code path that emitted the event
+export function emitEvent(event, data) {
+  try {
+    eventBus.emit(event, data);
+  } catch (error) {
+    console.error(`❌ Error in ${event} listener:`, error.message);
+  }
+}
@@ -0,0 +1,13 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+// Carries who is acting (and from where) through everything a request
+// triggers, so deep code paths can attribute changes without threading it
+export function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getContext() {
+  return storage.getStore() || null;
+}
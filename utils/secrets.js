@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Encrypts OAuth tokens and client secrets before they are written to MongoDB.
+// Values are stored as "enc:v1:<iv>:<auth tag>:<ciphertext>" (base64 parts).
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+const IV_BYTES = 12;
+
+function getKey() {
+  const raw = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!raw) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is required to store Gmail credentials');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes, hex or base64 encoded');
+  }
+  return key;
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+export function encryptJSON(value) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [PREFIX, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+export function decryptJSON(payload) {
+  if (!isEncrypted(payload)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  const [iv, tag, ciphertext] = payload.slice(PREFIX.length + 1).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    return JSON.parse(plaintext);
+  } catch (error) {
+    throw new Error('Could not decrypt stored credentials; check TOKEN_ENCRYPTION_KEY');
+  }
+}